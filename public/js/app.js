@@ -3,7 +3,6 @@
 // Configuration defaults
 const DEFAULT_CONFIG = {
   mediamtxPort: 8889,
-  presetCount: 12,
   cameraIP: '',
   vidiuIP: ''
 };
@@ -36,22 +35,63 @@ document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
   await loadConfig();
+  // Not awaited - the camera can take seconds to answer; controls update when it does
+  loadCameraInfo();
   await loadPresets();
+  await loadPresetLayout();
   setupVideo();
+  setupVideoGestures();
+  connectControlSocket();
   setupJoystick();
+  setupMenuControls();
   setupSpeedControl();
   setupZoomControls();
   setupFocusControls();
   setupExposureControls();
   setupWhiteBalanceControls();
+  setupPresetLayout();
   setupPresets();
   setupSettingsTabs();
   setupModals();
   setupDeviceDiscovery();
   setupVidiuControls();
+  setupSmoothingControls();
+  setupZoomScalingControl();
+  setupDeviceControls();
+  setupTours();
   checkConnection();
 }
 
+// Camera model capabilities (speed limits, optional features) from /api/camera/info
+let cameraCapabilities = null;
+
+async function loadCameraInfo() {
+  try {
+    const response = await fetch('/api/camera/info');
+    const data = await response.json();
+    if (!data.success) return;
+
+    cameraCapabilities = data.data.capabilities;
+    // Hide controls the camera doesn't have
+    document.querySelectorAll('[data-feature]').forEach(el => {
+      el.classList.toggle('hidden', !cameraCapabilities.features.includes(el.dataset.feature));
+    });
+
+    const { model, firmware, serial, mac } = data.data;
+    const infoEl = document.getElementById('camera-info');
+    infoEl.textContent = [model || cameraCapabilities.name, firmware, serial && `S/N ${serial}`, mac]
+      .filter(Boolean).join(' · ');
+    infoEl.classList.remove('hidden');
+  } catch (e) {
+    console.error('Failed to load camera info:', e);
+  }
+}
+
+// Top pan speed for absolute moves (24 until the camera info loads)
+function maxPanSpeed() {
+  return cameraCapabilities?.speeds.pan || 24;
+}
+
 // Setup speed control slider
 function setupSpeedControl() {
   const speedSlider = document.getElementById('speed-slider');
@@ -73,15 +113,8 @@ function setupSpeedControl() {
   });
 }
 
-// Load configuration from server and localStorage
+// Load configuration from server
 async function loadConfig() {
-  // Load UI-only settings from localStorage
-  const saved = localStorage.getItem('ptz-config');
-  if (saved) {
-    const localConfig = JSON.parse(saved);
-    config.presetCount = localConfig.presetCount || DEFAULT_CONFIG.presetCount;
-  }
-
   // Load server settings
   try {
     const response = await fetch('/api/settings');
@@ -99,12 +132,11 @@ async function loadConfig() {
 
   // Update UI
   document.getElementById('mediamtx-port-input').value = config.mediamtxPort;
-  document.getElementById('preset-count').value = config.presetCount;
   document.getElementById('camera-ip-input').value = config.cameraIP || '';
   document.getElementById('vidiu-ip-input').value = config.vidiuIP || '';
 }
 
-// Save configuration to server and localStorage
+// Save configuration to server
 async function saveConfig() {
   const saveBtn = document.querySelector('#settings-modal button:last-child');
   const originalText = saveBtn.textContent;
@@ -112,15 +144,9 @@ async function saveConfig() {
   saveBtn.textContent = 'Saving...';
 
   config.mediamtxPort = parseInt(document.getElementById('mediamtx-port-input').value) || 8889;
-  config.presetCount = parseInt(document.getElementById('preset-count').value) || 12;
   config.cameraIP = document.getElementById('camera-ip-input').value.trim();
   config.vidiuIP = document.getElementById('vidiu-ip-input').value.trim();
 
-  // Save UI-only settings to localStorage
-  localStorage.setItem('ptz-config', JSON.stringify({
-    presetCount: config.presetCount
-  }));
-
   // Save server settings
   try {
     const response = await fetch('/api/settings', {
@@ -155,7 +181,6 @@ async function saveConfig() {
   saveBtn.textContent = originalText;
 
   setupVideo();
-  setupPresets();
 }
 
 // Load presets from server
@@ -176,6 +201,43 @@ async function loadPresets() {
   }
 }
 
+// Load the button layout from server (the default grid if it was never arranged)
+async function loadPresetLayout() {
+  try {
+    const response = await fetch('/api/presets/layout');
+    const data = await response.json();
+    if (data.success) {
+      presetLayout = data.data || defaultPresetLayout();
+    }
+  } catch (error) {
+    console.error('Failed to load preset layout:', error);
+  }
+  if (!presetLayout) presetLayout = defaultPresetLayout();
+  presetGroupIndex = Math.min(parseInt(localStorage.getItem('ptz-preset-group')) || 0, presetLayout.groups.length - 1);
+}
+
+// One group of presets 1-N - N from the old per-browser preset count setting, if set
+function defaultPresetLayout() {
+  const saved = JSON.parse(localStorage.getItem('ptz-config') || '{}');
+  const count = saved.presetCount || DEFAULT_PRESET_BUTTONS;
+  return { groups: [{ name: 'Presets', buttons: Array.from({ length: count }, (_, i) => i + 1) }] };
+}
+
+async function savePresetLayout() {
+  try {
+    const response = await fetch('/api/presets/layout', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(presetLayout)
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Failed to save preset layout');
+  } catch (error) {
+    console.error('Failed to save preset layout:', error);
+    showToast('Failed to save preset layout');
+  }
+}
+
 // Save presets to server
 async function savePresets() {
   try {
@@ -274,6 +336,123 @@ function setupVideo() {
   }
 }
 
+// Setup gestures on the video - tap to center that point, drag a box to frame it
+// Drags shorter than this (px) count as taps
+const DRAG_THRESHOLD = 10;
+
+function setupVideoGestures() {
+  const layer = document.getElementById('video-gesture-layer');
+  let start = null;
+  let box = null;
+
+  // Aim mode (off on every load) - the layer only takes pointer events while it's on
+  document.getElementById('aim-mode-btn').addEventListener('click', (e) => {
+    const enabled = e.currentTarget.classList.toggle('active');
+    layer.classList.toggle('active', enabled);
+    vibrate(10);
+  });
+
+  const toFrame = (e) => {
+    const rect = layer.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+      y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height)),
+      px: e.clientX,
+      py: e.clientY
+    };
+  };
+
+  layer.addEventListener('pointerdown', (e) => {
+    start = toFrame(e);
+    layer.setPointerCapture(e.pointerId);
+  });
+
+  layer.addEventListener('pointermove', (e) => {
+    if (!start) return;
+    const point = toFrame(e);
+    if (!box && Math.hypot(point.px - start.px, point.py - start.py) < DRAG_THRESHOLD) return;
+
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'frame-box';
+      layer.appendChild(box);
+    }
+    box.style.left = `${Math.min(start.x, point.x) * 100}%`;
+    box.style.top = `${Math.min(start.y, point.y) * 100}%`;
+    box.style.width = `${Math.abs(point.x - start.x) * 100}%`;
+    box.style.height = `${Math.abs(point.y - start.y) * 100}%`;
+  });
+
+  layer.addEventListener('pointerup', (e) => {
+    if (!start) return;
+    const point = toFrame(e);
+
+    if (box) {
+      box.remove();
+      box = null;
+      const x = Math.min(start.x, point.x);
+      const y = Math.min(start.y, point.y);
+      const width = Math.abs(point.x - start.x);
+      const height = Math.abs(point.y - start.y);
+      if (width > 0 && height > 0) {
+        vibrate(20);
+        frameRegion(x, y, width, height);
+      }
+    } else {
+      showAimMarker(layer, point.x, point.y);
+      vibrate(20);
+      aimAt(point.x, point.y);
+    }
+    start = null;
+  });
+
+  layer.addEventListener('pointercancel', () => {
+    if (box) box.remove();
+    box = null;
+    start = null;
+  });
+}
+
+// Briefly mark where the video was tapped
+function showAimMarker(layer, x, y) {
+  const marker = document.createElement('div');
+  marker.className = 'aim-marker';
+  marker.style.left = `${x * 100}%`;
+  marker.style.top = `${y * 100}%`;
+  layer.appendChild(marker);
+  marker.addEventListener('animationend', () => marker.remove());
+}
+
+// Center on a region of the frame and zoom to fill it (0..1 from top-left)
+async function frameRegion(x, y, width, height) {
+  try {
+    const response = await fetch('/api/ptz/frame', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ x, y, width, height, speed: Math.max(1, Math.round(speedMultiplier * maxPanSpeed())) })
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Could not frame that area');
+  } catch (e) {
+    console.error('Frame failed:', e);
+  }
+}
+
+// Center the camera on a point in the frame (x/y 0..1 from top-left)
+async function aimAt(x, y) {
+  try {
+    const response = await fetch('/api/ptz/aim', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ x, y, speed: Math.max(1, Math.round(speedMultiplier * maxPanSpeed())) })
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Could not aim the camera');
+  } catch (e) {
+    console.error('Aim failed:', e);
+  }
+}
+
 // Check API connection
 async function checkConnection() {
   try {
@@ -291,14 +470,21 @@ async function checkConnection() {
 // Setup virtual joystick
 // Joystick state
 let joystickActive = false;
-let lastMoveTime = 0;
-let stopTimeout = null;
 let joystickStartTime = 0; // Track when joystick was activated
+let lastVelocity = { pan: 0, tilt: 0 };
+let lastVelocityTime = 0;
+let velocityKeepalive = null;
 
 // Dead zone - minimum force required before movement (0.0 to 1.0)
 const JOYSTICK_DEAD_ZONE = 0.15;
+// Force at which the joystick reaches full speed (nipplejs allows dragging past the edge)
+const JOYSTICK_FULL_FORCE = 1.5;
+// Velocity just outside the dead zone (about the camera's slowest speed)
+const JOYSTICK_MIN_VELOCITY = 0.04;
 // Ignore first few ms after start to let user establish direction
 const JOYSTICK_STARTUP_DELAY = 50;
+// Re-send the current velocity this often so the server's deadman lease stays alive
+const VELOCITY_KEEPALIVE_MS = 150;
 
 function setupJoystick() {
   joystick = nipplejs.create({
@@ -315,124 +501,143 @@ function setupJoystick() {
   joystick.on('start', () => {
     joystickActive = true;
     joystickStartTime = Date.now();
-    // Clear any pending stop
-    if (stopTimeout) {
-      clearTimeout(stopTimeout);
-      stopTimeout = null;
-    }
+    if (menuMode) return;
+    clearInterval(velocityKeepalive);
+    velocityKeepalive = setInterval(() => {
+      if (isMoving) sendVelocity(lastVelocity.pan, lastVelocity.tilt);
+    }, VELOCITY_KEEPALIVE_MS);
   });
 
   joystick.on('move', (evt, data) => {
     if (joystickActive) {
-      handleJoystickMove(data);
+      if (menuMode) {
+        handleMenuMove(data);
+      } else {
+        handleJoystickMove(data);
+      }
     }
   });
 
   joystick.on('end', () => {
     joystickActive = false;
+    if (menuMode) {
+      menuDirection = null;
+      return;
+    }
     isMoving = false;
     joystickStartTime = 0;
-    // Send stop immediately and multiple times for reliability
-    stopMovement();
-    // Send additional stops with slight delays to ensure camera receives it
-    setTimeout(() => stopMovement(), 50);
-    setTimeout(() => stopMovement(), 100);
+    clearInterval(velocityKeepalive);
+    velocityKeepalive = null;
+    lastVelocity = { pan: 0, tilt: 0 };
+    // A zero vector stops the camera; if it's lost the server lease stops it anyway
+    sendVelocity(0, 0);
   });
-
-  // Failsafe: if no movement for 200ms while not active, send stop
-  setInterval(() => {
-    if (!joystickActive && Date.now() - lastMoveTime > 200 && lastMoveTime > 0) {
-      stopMovement();
-      lastMoveTime = 0;
-    }
-  }, 100);
 }
 
 // Handle joystick movement
 function handleJoystickMove(data) {
   const force = data.force; // Don't clamp - allow beyond boundary for faster speeds
 
-  // Dead zone - ignore small movements
-  if (force < JOYSTICK_DEAD_ZONE) {
+  // Ignore movements in the first few ms to let user establish direction
+  if (Date.now() - joystickStartTime < JOYSTICK_STARTUP_DELAY) {
     return;
   }
 
-  // Ignore movements in the first few ms to let user establish direction
-  if (Date.now() - joystickStartTime < JOYSTICK_STARTUP_DELAY) {
+  // Dead zone - hold still (stop if we were moving)
+  if (force < JOYSTICK_DEAD_ZONE) {
+    if (isMoving) {
+      isMoving = false;
+      lastVelocity = { pan: 0, tilt: 0 };
+      sendVelocity(0, 0);
+    }
     return;
   }
 
-  const angle = data.angle.degree;
-
-  // Fixed speed tiers based on joystick distance (ignores speed slider)
-  // Lower speeds for more precision control
-  let panSpeed, tiltSpeed, tier;
-
-  if (force > 1.0) {
-    // Beyond boundary - fast
-    panSpeed = 10;
-    tiltSpeed = 8;
-    tier = 'fast';
-  } else if (force > 0.65) {
-    // At edge - medium
-    panSpeed = 5;
-    tiltSpeed = 4;
-    tier = 'medium';
-  } else if (force > 0.40) {
-    // Middle zone - slow
-    panSpeed = 2;
-    tiltSpeed = 2;
-    tier = 'slow';
-  } else {
-    // Near center - very slow (for fine adjustments)
-    panSpeed = 1;
-    tiltSpeed = 1;
-    tier = 'very slow';
-  }
-
-  // Determine direction based on angle
-  let direction;
-  if (angle >= 337.5 || angle < 22.5) direction = 'right';
-  else if (angle >= 22.5 && angle < 67.5) direction = 'upright';
-  else if (angle >= 67.5 && angle < 112.5) direction = 'up';
-  else if (angle >= 112.5 && angle < 157.5) direction = 'upleft';
-  else if (angle >= 157.5 && angle < 202.5) direction = 'left';
-  else if (angle >= 202.5 && angle < 247.5) direction = 'downleft';
-  else if (angle >= 247.5 && angle < 292.5) direction = 'down';
-  else direction = 'downright';
-
-  // Throttle movement commands - send every 50ms max
+  // Square the deflection so small movements give fine control,
+  // ramping from the slowest speed up to the speed slider's limit
+  const deflection = Math.min(1, (force - JOYSTICK_DEAD_ZONE) / (JOYSTICK_FULL_FORCE - JOYSTICK_DEAD_ZONE));
+  const magnitude = JOYSTICK_MIN_VELOCITY + (speedMultiplier - JOYSTICK_MIN_VELOCITY) * deflection * deflection;
+  const angle = data.angle.radian;
+  const pan = Math.cos(angle) * magnitude;
+  const tilt = Math.sin(angle) * magnitude;
+
+  lastVelocity = { pan, tilt };
+  isMoving = true;
+
+  // Throttle velocity updates - send every 50ms max
   const now = Date.now();
-  if (now - lastMoveTime >= 50) {
-    lastMoveTime = now;
-    console.log(`[Joystick] force=${Math.round(force * 100)}%, tier=${tier}, dir=${direction}, pan=${panSpeed}, tilt=${tiltSpeed}`);
-    sendMove(direction, panSpeed, tiltSpeed);
+  if (now - lastVelocityTime >= 50) {
+    console.log(`[Joystick] force=${Math.round(force * 100)}%, pan=${pan.toFixed(2)}, tilt=${tilt.toFixed(2)}`);
+    sendVelocity(pan, tilt);
   }
 }
 
-// Send move command
-async function sendMove(direction, panSpeed, tiltSpeed) {
-  try {
-    await fetch('/api/ptz/move', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ direction, panSpeed, tiltSpeed })
-    });
+// OSD menu mode - the joystick becomes a d-pad for the camera's on-screen menu
+let menuMode = false;
+let menuDirection = null;
+// How far to push before a menu step is sent (one step per push)
+const MENU_PUSH_FORCE = 0.5;
+
+function setupMenuControls() {
+  document.getElementById('menu-mode-btn').addEventListener('click', () => {
+    setMenuMode(!menuMode);
+  });
+  document.getElementById('menu-close-btn').addEventListener('click', () => {
+    setMenuMode(false);
+  });
+  document.getElementById('menu-enter-btn').addEventListener('click', () => {
+    sendMenu('enter');
+    vibrate(20);
+  });
+}
+
+async function setMenuMode(enabled) {
+  const data = await sendMenu(enabled ? 'open' : 'close');
+  if (!data.success && enabled) return;
+
+  menuMode = enabled;
+  menuDirection = null;
+  document.getElementById('menu-mode-btn').classList.toggle('active', enabled);
+  document.getElementById('menu-controls').classList.toggle('hidden', !enabled);
+  document.getElementById('joystick-label').textContent = enabled ? 'Menu Navigation' : 'Pan & Tilt';
+  vibrate(20);
+}
+
+// Step the menu cursor once per push, in the joystick's main direction
+function handleMenuMove(data) {
+  if (data.force < MENU_PUSH_FORCE) {
+    menuDirection = null;
+    return;
+  }
+
+  const degree = data.angle.degree;
+  let direction = 'right';
+  if (degree >= 45 && degree < 135) direction = 'up';
+  else if (degree >= 135 && degree < 225) direction = 'left';
+  else if (degree >= 225 && degree < 315) direction = 'down';
+
+  if (direction !== menuDirection) {
+    menuDirection = direction;
+    sendMenu(direction);
     vibrate(10);
-  } catch (e) {
-    console.error('Move failed:', e);
   }
 }
 
-// Stop all movement
-async function stopMovement() {
+async function sendMenu(action) {
   try {
-    await fetch('/api/ptz/stop', { method: 'POST' });
+    return await viscaRequest('menu', { action });
   } catch (e) {
-    console.error('Stop failed:', e);
+    console.error('Menu failed:', e);
+    return { success: false, error: e.message };
   }
 }
 
+// Send velocity vector (-1..1 each, right/up positive)
+async function sendVelocity(pan, tilt) {
+  lastVelocityTime = Date.now();
+  await sendControl('velocity', { pan, tilt }, '/api/ptz/velocity');
+}
+
 // Setup zoom controls
 function setupZoomControls() {
   const zoomInBtn = document.getElementById('zoom-in-btn');
@@ -443,10 +648,75 @@ function setupZoomControls() {
   setupContinuousButton(zoomInBtn, () => sendZoom('in'), () => sendZoom('stop'));
   setupContinuousButton(zoomOutBtn, () => sendZoom('out'), () => sendZoom('stop'));
 
-  // Slider for zoom (future: could track absolute position)
+  // Slider shows the zoom position and jumps straight to a position on release
   zoomSlider.addEventListener('input', () => {
-    // For now, slider is decorative - real zoom uses buttons
+    zoomDragging = true;
+    const percent = Math.round(zoomSlider.value / zoomSlider.max * 100);
+    document.getElementById('zoom-label').textContent = `Zoom ${percent}%`;
+  });
+  zoomSlider.addEventListener('change', async () => {
+    vibrate(15);
+    await sendZoomPosition(parseInt(zoomSlider.value));
+    zoomDragging = false;
+    refreshZoomPosition();
+  });
+
+  // Digital zoom toggle in Settings extends the slider past full optical
+  const digitalToggle = document.getElementById('digital-zoom-toggle');
+  digitalToggle.addEventListener('click', async () => {
+    digitalToggle.classList.toggle('active');
+    vibrate(20);
+    await sendPtzRequest('zoom/digital', { enabled: digitalToggle.classList.contains('active') });
+    refreshZoomPosition();
   });
+
+  refreshZoomPosition();
+  setInterval(() => {
+    if (!document.hidden) refreshZoomPosition();
+  }, ZOOM_POLL_MS);
+}
+
+// Zoom position indicator
+const ZOOM_POLL_MS = 1000;
+let zoomDragging = false;
+
+async function refreshZoomPosition() {
+  if (zoomDragging) return;
+  try {
+    const response = await fetch('/api/ptz/zoom/position');
+    const data = await response.json();
+    if (!data.success || zoomDragging) return;
+
+    const { position, max, digital, magnification } = data.data;
+    const zoomSlider = document.getElementById('zoom-slider');
+    zoomSlider.max = max;
+    zoomSlider.value = position;
+    document.getElementById('zoom-label').textContent = magnification !== null ? `${magnification}x` : 'Digital';
+    document.getElementById('digital-zoom-toggle').classList.toggle('active', digital);
+  } catch (e) {
+    // Camera unreachable - leave the last reading
+  }
+}
+
+async function sendZoomPosition(position) {
+  return sendPtzRequest('zoom/position', { position });
+}
+
+// Send a PTZ API request, telling the operator when the camera rejects it
+async function sendPtzRequest(path, body) {
+  try {
+    const response = await fetch(`/api/ptz/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Camera command failed');
+    return data;
+  } catch (e) {
+    console.error(`PTZ ${path} failed:`, e);
+    return { success: false, error: e.message };
+  }
 }
 
 // Setup continuous press button
@@ -477,15 +747,7 @@ function setupContinuousButton(btn, onStart, onEnd) {
 
 // Send zoom command
 async function sendZoom(action, speed = 4) {
-  try {
-    await fetch('/api/ptz/zoom', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ action, speed })
-    });
-  } catch (e) {
-    console.error('Zoom failed:', e);
-  }
+  await sendControl('zoom', { action, speed }, '/api/ptz/zoom');
 }
 
 // Setup focus controls
@@ -498,18 +760,12 @@ function setupFocusControls() {
 
   focusAutoBtn.addEventListener('click', () => {
     sendViscaFocusMode('auto');
-    focusAutoBtn.classList.add('bg-blue-600');
-    focusAutoBtn.classList.remove('bg-gray-700');
-    focusManualBtn.classList.remove('bg-blue-600');
-    focusManualBtn.classList.add('bg-gray-700');
+    setFocusModeButtons('auto');
   });
 
   focusManualBtn.addEventListener('click', () => {
     sendViscaFocusMode('manual');
-    focusManualBtn.classList.add('bg-blue-600');
-    focusManualBtn.classList.remove('bg-gray-700');
-    focusAutoBtn.classList.remove('bg-blue-600');
-    focusAutoBtn.classList.add('bg-gray-700');
+    setFocusModeButtons('manual');
   });
 
   setupContinuousButton(focusNearBtn, () => sendFocus('in'), () => sendFocus('stop'));
@@ -519,27 +775,52 @@ function setupFocusControls() {
     sendViscaFocusOnePush();
     vibrate(30);
   });
+
+  // Position slider sets manual focus; AF limit keeps autofocus from hunting too close
+  document.querySelectorAll('.focus-slider').forEach(slider => {
+    slider.addEventListener('change', async () => {
+      if (slider.dataset.action === 'position') {
+        setFocusModeButtons('manual');
+        await viscaRequest('focus/mode', { mode: 'manual' });
+      }
+      viscaRequest(`focus/${slider.dataset.action}`, { value: parseInt(slider.value) });
+      vibrate(15);
+    });
+  });
+
+  document.getElementById('af-sensitivity').addEventListener('change', (e) => {
+    viscaRequest('focus/sensitivity', { sensitivity: e.target.value });
+  });
+
+  const focusLockToggle = document.getElementById('focus-lock-toggle');
+  focusLockToggle.addEventListener('click', async () => {
+    const locked = !focusLockToggle.classList.contains('active');
+    const data = await viscaRequest('focus/lock', { locked });
+    if (data.success) focusLockToggle.classList.toggle('active', locked);
+    vibrate(20);
+  });
+}
+
+// Highlight the active focus mode button
+function setFocusModeButtons(mode) {
+  const focusAutoBtn = document.getElementById('focus-auto-btn');
+  const focusManualBtn = document.getElementById('focus-manual-btn');
+  const activeBtn = mode === 'manual' ? focusManualBtn : focusAutoBtn;
+  const inactiveBtn = mode === 'manual' ? focusAutoBtn : focusManualBtn;
+
+  activeBtn.classList.add('bg-blue-600');
+  activeBtn.classList.remove('bg-gray-700');
+  inactiveBtn.classList.remove('bg-blue-600');
+  inactiveBtn.classList.add('bg-gray-700');
 }
 
 async function sendFocus(action, speed = 4) {
-  try {
-    await fetch('/api/ptz/focus', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ action, speed })
-    });
-  } catch (e) {
-    console.error('Focus failed:', e);
-  }
+  await sendControl('focus', { action, speed }, '/api/ptz/focus');
 }
 
 async function sendViscaFocusMode(mode) {
   try {
-    await fetch('/api/visca/focus/mode', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mode })
-    });
+    await viscaRequest('focus/mode', { mode });
   } catch (e) {
     console.error('Focus mode failed:', e);
   }
@@ -547,7 +828,7 @@ async function sendViscaFocusMode(mode) {
 
 async function sendViscaFocusOnePush() {
   try {
-    await fetch('/api/visca/focus/onepush', { method: 'POST' });
+    await viscaRequest('focus/onepush');
   } catch (e) {
     console.error('Focus one push failed:', e);
   }
@@ -569,12 +850,21 @@ function setupExposureControls() {
     vibrate(20);
   });
 
+  // Direct value selects (options filled from the camera's value tables)
+  document.querySelectorAll('.exposure-select').forEach(select => {
+    select.addEventListener('change', () => {
+      sendExposureValue(select.dataset.action, parseInt(select.value));
+      vibrate(15);
+    });
+  });
+  loadValueTables().then(loadCameraState);
+
   // Adjustment buttons
   document.querySelectorAll('.adjust-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const action = btn.dataset.action;
       const direction = btn.dataset.dir;
-      sendExposureAdjust(action, direction);
+      sendExposureAdjust(action, direction).then(loadCameraState);
       vibrate(15);
     });
   });
@@ -582,11 +872,7 @@ function setupExposureControls() {
 
 async function sendExposureMode(mode) {
   try {
-    await fetch('/api/visca/exposure/mode', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mode })
-    });
+    await viscaRequest('exposure/mode', { mode });
   } catch (e) {
     console.error('Exposure mode failed:', e);
   }
@@ -594,23 +880,51 @@ async function sendExposureMode(mode) {
 
 async function sendExposureAdjust(action, direction) {
   try {
-    await fetch(`/api/visca/exposure/${action}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ direction })
-    });
+    await viscaRequest(`exposure/${action}`, { direction });
   } catch (e) {
     console.error('Exposure adjust failed:', e);
   }
 }
 
-async function sendBacklight(enabled) {
+async function sendExposureValue(action, value) {
   try {
-    await fetch('/api/visca/exposure/backlight', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ enabled })
+    await viscaRequest(`exposure/${action}`, { value });
+  } catch (e) {
+    console.error('Exposure value failed:', e);
+  }
+}
+
+// Fill the gain/shutter/iris selects with human-readable units
+async function loadValueTables() {
+  try {
+    const response = await fetch('/api/visca/values');
+    const data = await response.json();
+    if (!data.success) return;
+
+    ['gain', 'shutter', 'iris'].forEach(key => {
+      const select = document.getElementById(`${key}-select`);
+      select.innerHTML = '<option value="" disabled>--</option>';
+      data.data[key].forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.value;
+        option.textContent = entry.label;
+        select.appendChild(option);
+      });
+      select.value = '';
     });
+
+    document.querySelectorAll('.focus-slider').forEach(slider => {
+      slider.min = data.data.focus.min;
+      slider.max = data.data.focus.max;
+    });
+  } catch (e) {
+    console.error('Value tables failed:', e);
+  }
+}
+
+async function sendBacklight(enabled) {
+  try {
+    await viscaRequest('exposure/backlight', { enabled });
   } catch (e) {
     console.error('Backlight failed:', e);
   }
@@ -628,7 +942,19 @@ function setupWhiteBalanceControls() {
     btn.addEventListener('click', () => {
       const color = btn.dataset.color;
       const direction = btn.dataset.dir;
-      sendWhiteBalanceAdjust(color, direction);
+      sendWhiteBalanceAdjust(color, direction).then(loadCameraState);
+      vibrate(15);
+    });
+  });
+
+  // Sliders show the value while dragging and send it on release
+  document.querySelectorAll('.wb-slider').forEach(slider => {
+    const valueEl = document.getElementById(`${slider.dataset.color}-gain-value`);
+    slider.addEventListener('input', () => {
+      valueEl.textContent = slider.value;
+    });
+    slider.addEventListener('change', () => {
+      sendWhiteBalanceValue(slider.dataset.color, parseInt(slider.value));
       vibrate(15);
     });
   });
@@ -636,11 +962,7 @@ function setupWhiteBalanceControls() {
 
 async function sendWhiteBalanceMode(mode) {
   try {
-    await fetch('/api/visca/wb/mode', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mode })
-    });
+    await viscaRequest('wb/mode', { mode });
   } catch (e) {
     console.error('WB mode failed:', e);
   }
@@ -648,117 +970,926 @@ async function sendWhiteBalanceMode(mode) {
 
 async function sendWhiteBalanceAdjust(color, direction) {
   try {
-    await fetch(`/api/visca/wb/${color}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ direction })
-    });
+    await viscaRequest(`wb/${color}`, { direction });
   } catch (e) {
     console.error('WB adjust failed:', e);
   }
 }
 
-// Setup presets
-function setupPresets() {
-  elements.presetGrid.innerHTML = '';
-
-  for (let i = 1; i <= config.presetCount; i++) {
-    const btn = document.createElement('button');
-    btn.className = 'preset-btn';
-    btn.dataset.preset = i;
-
-    const presetData = presets[i];
-    if (presetData && (presetData.icon || presetData.name)) {
-      // Show icon if set, otherwise show full name with auto-sizing
-      if (presetData.icon) {
-        btn.textContent = presetData.icon;
-        btn.classList.add('has-icon');
-      } else if (presetData.name) {
-        // Show full name, auto-size based on length
-        const name = presetData.name;
-        btn.textContent = name;
-
-        // Apply size class based on text length
-        if (name.length <= 3) {
-          btn.classList.add('text-lg');
-        } else if (name.length <= 6) {
-          btn.classList.add('text-md');
-        } else {
-          btn.classList.add('text-sm');
-        }
-      }
-      btn.title = presetData.name || `Preset ${i}`;
-      btn.classList.add('has-name');
-    } else {
-      btn.textContent = i;
-    }
-
-    // Tap to call preset
-    btn.addEventListener('click', () => {
-      callPreset(i);
-    });
-
-    // Long press to edit
-    let pressTimer;
-    btn.addEventListener('touchstart', () => {
-      pressTimer = setTimeout(() => {
-        openPresetModal(i);
-      }, 500);
-    });
-    btn.addEventListener('touchend', () => clearTimeout(pressTimer));
-    btn.addEventListener('touchmove', () => clearTimeout(pressTimer));
-    btn.addEventListener('mousedown', () => {
-      pressTimer = setTimeout(() => {
-        openPresetModal(i);
-      }, 500);
-    });
-    btn.addEventListener('mouseup', () => clearTimeout(pressTimer));
-    btn.addEventListener('mouseleave', () => clearTimeout(pressTimer));
-
-    elements.presetGrid.appendChild(btn);
-  }
-
-  // Home button
-  document.getElementById('home-btn').addEventListener('click', () => {
-    sendHome();
-    vibrate(30);
-  });
-}
-
-async function callPreset(number) {
+async function sendWhiteBalanceValue(color, value) {
   try {
-    await fetch('/api/ptz/preset', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ action: 'call', number })
-    });
-    vibrate(30);
+    await viscaRequest(`wb/${color}`, { value });
   } catch (e) {
-    console.error('Preset call failed:', e);
+    console.error('WB value failed:', e);
   }
 }
 
-async function setPreset(number) {
+// Read exposure, white balance and focus state from the camera
+async function loadCameraState() {
   try {
-    await fetch('/api/ptz/preset', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ action: 'set', number })
-    });
-    vibrate(50);
+    const response = await fetch('/api/visca/state');
+    const data = await response.json();
+    if (data.success) {
+      applyCameraState(data.data);
+    }
   } catch (e) {
-    console.error('Preset set failed:', e);
+    console.error('Camera state failed:', e);
   }
 }
 
-async function sendHome() {
-  try {
+// Reflect camera state in the settings panels
+function applyCameraState(state) {
+  const { exposure, whiteBalance, focus } = state;
+  const showSelect = (id, value) => {
+    document.getElementById(id).value = value === null ? '' : value;
+  };
+  const showSlider = (color, value) => {
+    if (value === null) return;
+    document.getElementById(`${color}-gain-slider`).value = value;
+    document.getElementById(`${color}-gain-value`).textContent = value;
+  };
+
+  if (exposure.mode && exposure.mode !== 'unknown') {
+    document.getElementById('exposure-mode').value = exposure.mode;
+  }
+  if (exposure.backlight !== null) {
+    document.getElementById('backlight-toggle').classList.toggle('active', exposure.backlight);
+  }
+  showSelect('gain-select', exposure.gain);
+  showSelect('shutter-select', exposure.shutter);
+  showSelect('iris-select', exposure.iris);
+
+  if (whiteBalance.mode && whiteBalance.mode !== 'unknown') {
+    document.getElementById('wb-mode').value = whiteBalance.mode;
+  }
+  showSlider('red', whiteBalance.redGain);
+  showSlider('blue', whiteBalance.blueGain);
+
+  if (focus.mode && focus.mode !== 'unknown') {
+    setFocusModeButtons(focus.mode);
+  }
+  if (focus.position !== null) {
+    document.getElementById('focus-position-slider').value = focus.position;
+  }
+  if (focus.nearLimit !== null) {
+    document.getElementById('focus-near-limit-slider').value = focus.nearLimit;
+  }
+  if (focus.afSensitivity && focus.afSensitivity !== 'unknown') {
+    document.getElementById('af-sensitivity').value = focus.afSensitivity;
+  }
+  if (focus.locked !== null) {
+    document.getElementById('focus-lock-toggle').classList.toggle('active', focus.locked);
+  }
+}
+
+// Image tab - picture settings, built from the ranges the server reports
+const IMAGE_SETTING_LABELS = {
+  brightness: 'Brightness',
+  contrast: 'Contrast',
+  saturation: 'Saturation',
+  hue: 'Hue',
+  sharpness: 'Sharpness',
+  gamma: 'Gamma',
+  wdr: 'WDR',
+  nr2d: '2D NR',
+  nr3d: '3D NR',
+  flicker: 'Flicker'
+};
+const IMAGE_OPTION_LABELS = { off: 'Off', '50hz': '50 Hz', '60hz': '60 Hz' };
+
+async function loadImageSettings() {
+  const container = document.getElementById('image-settings');
+  try {
+    const response = await fetch('/api/visca/image');
+    const data = await response.json();
+    if (!data.success) {
+      const message = container.querySelector('p');
+      if (message) message.textContent = data.error || 'Camera not responding';
+      return;
+    }
+
+    if (!container.querySelector('.image-control')) {
+      container.innerHTML = '';
+      Object.entries(data.data).forEach(([name, setting]) => {
+        container.appendChild(createImageRow(name, setting));
+      });
+    }
+
+    Object.entries(data.data).forEach(([name, setting]) => {
+      if (setting.value === null) return;
+      const control = document.getElementById(`image-${name}`);
+      control.value = setting.value;
+      const valueLabel = document.getElementById(`image-${name}-value`);
+      if (valueLabel) valueLabel.textContent = setting.value;
+    });
+  } catch (e) {
+    console.error('Image settings failed:', e);
+  }
+}
+
+// One row in the Image tab: slider for ranges, select for options
+function createImageRow(name, setting) {
+  const row = document.createElement('div');
+  row.className = 'flex items-center gap-2';
+
+  const label = document.createElement('span');
+  label.className = 'text-xs text-gray-400 w-20';
+  label.textContent = IMAGE_SETTING_LABELS[name] || name;
+  row.appendChild(label);
+
+  let control;
+  if (setting.options) {
+    control = document.createElement('select');
+    control.className = 'image-control flex-1 bg-gray-700 rounded px-2 py-1 text-sm';
+    setting.options.forEach(option => {
+      const el = document.createElement('option');
+      el.value = option;
+      el.textContent = IMAGE_OPTION_LABELS[option] || option;
+      control.appendChild(el);
+    });
+    control.addEventListener('change', () => {
+      viscaRequest(`image/${name}`, { value: control.value });
+    });
+    row.appendChild(control);
+  } else {
+    control = document.createElement('input');
+    control.type = 'range';
+    control.min = setting.min;
+    control.max = setting.max;
+    control.className = 'image-control flex-1 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-500';
+    const valueLabel = document.createElement('span');
+    valueLabel.id = `image-${name}-value`;
+    valueLabel.className = 'text-xs text-gray-200 w-6 text-right';
+    valueLabel.textContent = '--';
+    control.addEventListener('input', () => {
+      valueLabel.textContent = control.value;
+    });
+    control.addEventListener('change', () => {
+      viscaRequest(`image/${name}`, { value: parseInt(control.value) });
+      vibrate(15);
+    });
+    row.appendChild(control);
+    row.appendChild(valueLabel);
+  }
+  control.id = `image-${name}`;
+  return row;
+}
+
+// Preset grid - buttons are arranged in groups, each button mapped to a camera preset (1-254)
+const DEFAULT_PRESET_BUTTONS = 12;
+const PRESET_DRAG_THRESHOLD = 8; // px of movement before a press becomes a drag
+let presetLayout = null;
+let presetGroupIndex = 0;
+let presetEditing = false;
+let selectedPresetButton = null; // Index in the current group while editing
+
+function currentPresetGroup() {
+  return presetLayout.groups[presetGroupIndex];
+}
+
+// Draw the group tabs and the current group's buttons
+function setupPresets() {
+  renderPresetGroups();
+  elements.presetGrid.innerHTML = '';
+
+  currentPresetGroup().buttons.forEach((number, index) => {
+    const btn = createPresetButton(number);
+    btn.dataset.index = index;
+    if (presetEditing) {
+      btn.classList.add('editing');
+      btn.classList.toggle('selected', index === selectedPresetButton);
+      const badge = document.createElement('span');
+      badge.className = 'preset-slot-badge';
+      badge.textContent = number;
+      btn.appendChild(badge);
+    }
+    elements.presetGrid.appendChild(btn);
+  });
+
+  if (presetEditing) {
+    const addBtn = document.createElement('button');
+    addBtn.className = 'preset-btn preset-add-btn';
+    addBtn.textContent = '+';
+    addBtn.title = 'Add a button';
+    addBtn.addEventListener('click', addPresetButton);
+    elements.presetGrid.appendChild(addBtn);
+  }
+
+  updatePresetLayoutEditor();
+}
+
+function createPresetButton(number) {
+  const btn = document.createElement('button');
+  btn.className = 'preset-btn';
+  btn.dataset.preset = number;
+
+  const presetData = presets[number];
+  if (presetData && (presetData.icon || presetData.name)) {
+    // Show icon if set, otherwise show full name with auto-sizing
+    if (presetData.icon) {
+      btn.textContent = presetData.icon;
+      btn.classList.add('has-icon');
+    } else if (presetData.name) {
+      // Show full name, auto-size based on length
+      const name = presetData.name;
+      btn.textContent = name;
+
+      // Apply size class based on text length
+      if (name.length <= 3) {
+        btn.classList.add('text-lg');
+      } else if (name.length <= 6) {
+        btn.classList.add('text-md');
+      } else {
+        btn.classList.add('text-sm');
+      }
+    }
+    btn.title = presetData.name || `Preset ${number}`;
+    btn.classList.add('has-name');
+  } else {
+    btn.textContent = number;
+  }
+
+  // Shot thumbnail behind the label
+  if (presetData?.thumbnail) {
+    btn.style.backgroundImage = `url(${presetThumbnailUrl(number)})`;
+    btn.classList.add('has-thumbnail');
+  }
+
+  // Tap to call preset (while editing, taps select - see setupPresetLayout)
+  btn.addEventListener('click', () => {
+    if (!presetEditing) callPreset(number);
+  });
+
+  // Long press to edit
+  let pressTimer;
+  const startPress = () => {
+    if (presetEditing) return;
+    pressTimer = setTimeout(() => {
+      openPresetModal(number);
+    }, 500);
+  };
+  btn.addEventListener('touchstart', startPress);
+  btn.addEventListener('touchend', () => clearTimeout(pressTimer));
+  btn.addEventListener('touchmove', () => clearTimeout(pressTimer));
+  btn.addEventListener('mousedown', startPress);
+  btn.addEventListener('mouseup', () => clearTimeout(pressTimer));
+  btn.addEventListener('mouseleave', () => clearTimeout(pressTimer));
+
+  return btn;
+}
+
+// Group tabs - shown when there's more than one group, or while editing
+function renderPresetGroups() {
+  const tabs = document.getElementById('preset-groups');
+  tabs.innerHTML = '';
+  tabs.classList.toggle('hidden', presetLayout.groups.length < 2 && !presetEditing);
+
+  presetLayout.groups.forEach((group, index) => {
+    const tab = document.createElement('button');
+    const active = index === presetGroupIndex;
+    tab.className = `text-xs px-3 py-1 rounded whitespace-nowrap transition ${active ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`;
+    tab.textContent = group.name;
+    tab.addEventListener('click', () => {
+      selectPresetGroup(index);
+      vibrate(10);
+    });
+    tabs.appendChild(tab);
+  });
+}
+
+function selectPresetGroup(index) {
+  presetGroupIndex = index;
+  selectedPresetButton = null;
+  localStorage.setItem('ptz-preset-group', index);
+  setupPresets();
+}
+
+// Show the editor fields for the current group and selected button
+function updatePresetLayoutEditor() {
+  document.getElementById('preset-edit-btn').textContent = presetEditing ? 'Done' : 'Edit';
+  document.getElementById('preset-layout-editor').classList.toggle('hidden', !presetEditing);
+  if (!presetEditing) return;
+
+  const nameInput = document.getElementById('preset-group-name');
+  if (document.activeElement !== nameInput) nameInput.value = currentPresetGroup().name;
+  document.getElementById('preset-group-delete').disabled = presetLayout.groups.length < 2;
+
+  const selected = selectedPresetButton !== null;
+  document.getElementById('preset-slot-editor').classList.toggle('hidden', !selected);
+  if (selected) {
+    document.getElementById('preset-slot-input').value = currentPresetGroup().buttons[selectedPresetButton];
+  }
+}
+
+// Lowest camera preset not on any button yet
+function nextFreePreset() {
+  const used = new Set(presetLayout.groups.flatMap(group => group.buttons));
+  for (let number = 1; number <= 254; number++) {
+    if (!used.has(number)) return number;
+  }
+  return null;
+}
+
+function addPresetButton() {
+  const number = nextFreePreset();
+  if (!number) {
+    showToast('All 254 camera presets are already on buttons');
+    return;
+  }
+  const buttons = currentPresetGroup().buttons;
+  buttons.push(number);
+  selectedPresetButton = buttons.length - 1;
+  savePresetLayout();
+  setupPresets();
+  vibrate(10);
+}
+
+// Layout editing - runs once; setupPresets() redraws
+function setupPresetLayout() {
+  document.getElementById('home-btn').addEventListener('click', () => {
+    sendHome();
+    vibrate(30);
+  });
+
+  document.getElementById('preset-edit-btn').addEventListener('click', () => {
+    presetEditing = !presetEditing;
+    selectedPresetButton = null;
+    setupPresets();
+    vibrate(10);
+  });
+
+  document.getElementById('preset-group-name').addEventListener('change', (e) => {
+    const name = e.target.value.trim();
+    if (!name) {
+      e.target.value = currentPresetGroup().name;
+      return;
+    }
+    currentPresetGroup().name = name;
+    savePresetLayout();
+    renderPresetGroups();
+  });
+
+  document.getElementById('preset-group-add').addEventListener('click', () => {
+    presetLayout.groups.push({ name: `Group ${presetLayout.groups.length + 1}`, buttons: [] });
+    savePresetLayout();
+    selectPresetGroup(presetLayout.groups.length - 1);
+    document.getElementById('preset-group-name').select();
+  });
+
+  document.getElementById('preset-group-delete').addEventListener('click', () => {
+    const group = currentPresetGroup();
+    if (presetLayout.groups.length < 2) return;
+    if (!confirm(`Delete group "${group.name}"? The camera presets themselves are kept.`)) return;
+    presetLayout.groups.splice(presetGroupIndex, 1);
+    savePresetLayout();
+    selectPresetGroup(Math.max(0, presetGroupIndex - 1));
+  });
+
+  document.getElementById('preset-slot-input').addEventListener('change', (e) => {
+    const number = parseInt(e.target.value);
+    if (!(number >= 1 && number <= 254)) {
+      showToast('Camera preset must be 1-254');
+      updatePresetLayoutEditor();
+      return;
+    }
+    currentPresetGroup().buttons[selectedPresetButton] = number;
+    savePresetLayout();
+    setupPresets();
+  });
+
+  document.getElementById('preset-slot-remove').addEventListener('click', () => {
+    currentPresetGroup().buttons.splice(selectedPresetButton, 1);
+    selectedPresetButton = null;
+    savePresetLayout();
+    setupPresets();
+    vibrate(10);
+  });
+
+  setupPresetDrag();
+}
+
+// Drag to reorder while editing (pointer events, so touch and mouse both work)
+function setupPresetDrag() {
+  const grid = elements.presetGrid;
+  let drag = null;
+
+  grid.addEventListener('pointerdown', (e) => {
+    if (!presetEditing) return;
+    const btn = e.target.closest('.preset-btn[data-index]');
+    if (!btn) return;
+    drag = { btn, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, moved: false };
+    // Capture on the grid - the button itself gets moved around, which would drop it
+    grid.setPointerCapture(e.pointerId);
+  });
+
+  grid.addEventListener('pointermove', (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (!drag.moved) {
+      if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < PRESET_DRAG_THRESHOLD) return;
+      drag.moved = true;
+      drag.btn.classList.add('dragging');
+    }
+
+    // Move the button in front of (or behind) whichever button is under the pointer
+    const target = document.elementFromPoint(e.clientX, e.clientY)?.closest('.preset-btn[data-index]');
+    if (!target || target === drag.btn || target.parentNode !== grid) return;
+    const rect = target.getBoundingClientRect();
+    const after = e.clientX > rect.left + rect.width / 2;
+    grid.insertBefore(drag.btn, after ? target.nextSibling : target);
+  });
+
+  grid.addEventListener('pointerup', (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const { btn, moved } = drag;
+    drag = null;
+
+    if (!moved) {
+      // Tap selects the button for the slot editor
+      const index = parseInt(btn.dataset.index);
+      selectedPresetButton = selectedPresetButton === index ? null : index;
+      setupPresets();
+      return;
+    }
+
+    // New order from the DOM, in terms of the old indices
+    const buttons = currentPresetGroup().buttons;
+    const order = Array.from(grid.querySelectorAll('.preset-btn[data-index]')).map(el => parseInt(el.dataset.index));
+    currentPresetGroup().buttons = order.map(index => buttons[index]);
+    if (selectedPresetButton !== null) selectedPresetButton = order.indexOf(selectedPresetButton);
+    savePresetLayout();
+    setupPresets();
+    vibrate(10);
+  });
+
+  grid.addEventListener('pointercancel', () => {
+    if (!drag) return;
+    drag = null;
+    setupPresets();
+  });
+}
+
+// Thumbnail URL, versioned by capture time so a re-saved shot isn't served from cache
+function presetThumbnailUrl(number) {
+  return `/api/presets/${number}/thumbnail?v=${presets[number].thumbnail}`;
+}
+
+async function callPreset(number) {
+  try {
+    await fetch('/api/ptz/preset', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'call', number })
+    });
+    vibrate(30);
+  } catch (e) {
+    console.error('Preset call failed:', e);
+  }
+}
+
+async function setPreset(number) {
+  try {
+    // Resolves once the server has stored the position and grabbed the thumbnail
+    await fetch('/api/ptz/preset', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'set', number })
+    });
+    vibrate(50);
+  } catch (e) {
+    console.error('Preset set failed:', e);
+  }
+}
+
+// Preset tours - editor lives in the preset modal, running tour shows above the grid
+const TOUR_POLL_MS = 2000;
+const DEFAULT_TOUR_DWELL = 10;
+let tours = {};
+let tourStatus = { running: false };
+
+function setupTours() {
+  const select = document.getElementById('tour-select');
+
+  select.addEventListener('change', () => showTour(select.value));
+
+  document.getElementById('tour-add-step').addEventListener('click', () => {
+    addTourStep({ preset: currentPreset || 1, dwell: DEFAULT_TOUR_DWELL });
+  });
+
+  document.getElementById('tour-save').addEventListener('click', async () => {
+    const id = select.value;
+    const body = {
+      name: document.getElementById('tour-name-input').value.trim(),
+      steps: readTourSteps()
+    };
+    const data = await sendTourRequest(id ? `/api/tours/${id}` : '/api/tours', id ? 'PUT' : 'POST', body);
+    if (data.success) {
+      await loadTours(data.data.id);
+      showToast('Tour saved');
+      vibrate(20);
+    }
+  });
+
+  document.getElementById('tour-delete').addEventListener('click', async () => {
+    const id = select.value;
+    if (!id) {
+      showTour('');
+      return;
+    }
+    if (!confirm(`Delete tour "${tours[id].name}"?`)) return;
+    const data = await sendTourRequest(`/api/tours/${id}`, 'DELETE');
+    if (data.success) {
+      await loadTours();
+      loadTourStatus();
+    }
+  });
+
+  document.getElementById('tour-run-btn').addEventListener('click', async () => {
+    const id = select.value;
+    if (tourStatus.running && tourStatus.id === id) {
+      await stopTour();
+      return;
+    }
+    if (!id) {
+      showToast('Save the tour first');
+      return;
+    }
+    const data = await sendTourRequest(`/api/tours/${id}/start`, 'POST');
+    if (data.success) applyTourStatus(data.data);
+    vibrate(30);
+  });
+
+  document.getElementById('tour-status-stop').addEventListener('click', stopTour);
+
+  loadTourStatus();
+  setInterval(() => {
+    if (!document.hidden) loadTourStatus();
+  }, TOUR_POLL_MS);
+}
+
+// Load saved tours into the editor, selecting selectId (or the first tour)
+async function loadTours(selectId) {
+  try {
+    const response = await fetch('/api/tours');
+    const data = await response.json();
+    if (data.success) tours = data.data;
+  } catch (e) {
+    console.error('Failed to load tours:', e);
+  }
+
+  const select = document.getElementById('tour-select');
+  select.innerHTML = '<option value="">New tour</option>';
+  Object.entries(tours).forEach(([id, tour]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = tour.name;
+    select.appendChild(option);
+  });
+
+  const id = selectId && tours[selectId] ? selectId : (Object.keys(tours)[0] || '');
+  select.value = id;
+  showTour(id);
+}
+
+// Fill the editor with a saved tour ('' for a new, empty one)
+function showTour(id) {
+  const tour = tours[id];
+  document.getElementById('tour-name-input').value = tour ? tour.name : '';
+  document.getElementById('tour-steps').innerHTML = '';
+  (tour ? tour.steps : []).forEach(addTourStep);
+  updateTourRunButton();
+}
+
+function addTourStep({ preset, dwell, speed }) {
+  const row = document.createElement('div');
+  row.className = 'tour-step grid grid-cols-12 gap-1 items-center';
+
+  const presetSelect = document.createElement('select');
+  presetSelect.className = 'tour-step-preset col-span-5 bg-gray-700 rounded px-1 py-1 text-sm';
+  const listed = new Set();
+  const presetOption = (number) => {
+    const option = document.createElement('option');
+    option.value = number;
+    option.textContent = presets[number]?.name ? `${number} - ${presets[number].name}` : `${number}`;
+    listed.add(number);
+    return option;
+  };
+  // Presets on buttons, by group
+  presetLayout.groups.forEach(group => {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.name;
+    group.buttons.filter(number => !listed.has(number)).forEach(number => optgroup.appendChild(presetOption(number)));
+    if (optgroup.children.length) presetSelect.appendChild(optgroup);
+  });
+  // Keep steps pointing at a preset that's no longer on a button selectable
+  if (!listed.has(preset)) presetSelect.appendChild(presetOption(preset));
+  presetSelect.value = preset;
+
+  const dwellInput = document.createElement('input');
+  dwellInput.type = 'number';
+  dwellInput.min = 1;
+  dwellInput.max = 3600;
+  dwellInput.value = dwell;
+  dwellInput.className = 'tour-step-dwell col-span-3 bg-gray-700 rounded px-1 py-1 text-sm';
+
+  const speedInput = document.createElement('input');
+  speedInput.type = 'number';
+  speedInput.min = 1;
+  speedInput.max = maxPanSpeed();
+  speedInput.placeholder = 'Auto';
+  speedInput.value = speed || '';
+  speedInput.className = 'tour-step-speed col-span-3 bg-gray-700 rounded px-1 py-1 text-sm';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'col-span-1 text-gray-400 hover:text-red-400';
+  removeBtn.textContent = '×';
+  removeBtn.title = 'Remove step';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.append(presetSelect, dwellInput, speedInput, removeBtn);
+  document.getElementById('tour-steps').appendChild(row);
+}
+
+function readTourSteps() {
+  return Array.from(document.querySelectorAll('#tour-steps .tour-step')).map(row => {
+    const step = {
+      preset: parseInt(row.querySelector('.tour-step-preset').value),
+      dwell: parseFloat(row.querySelector('.tour-step-dwell').value)
+    };
+    const speed = parseInt(row.querySelector('.tour-step-speed').value);
+    if (speed) step.speed = speed;
+    return step;
+  });
+}
+
+async function loadTourStatus() {
+  try {
+    const response = await fetch('/api/tours/status');
+    const data = await response.json();
+    if (data.success) applyTourStatus(data.data);
+  } catch (e) {
+    console.error('Failed to load tour status:', e);
+  }
+}
+
+// Show the running tour above the preset grid
+function applyTourStatus(status) {
+  tourStatus = status;
+  document.getElementById('tour-status').classList.toggle('hidden', !status.running);
+  if (status.running) {
+    document.getElementById('tour-status-text').textContent =
+      `Tour: ${status.name} - step ${status.step}/${status.steps} (preset ${status.preset}), next in ${status.nextIn}s`;
+  }
+  updateTourRunButton();
+}
+
+// Start/Stop button in the editor reflects whether the selected tour is running
+function updateTourRunButton() {
+  const runBtn = document.getElementById('tour-run-btn');
+  const running = tourStatus.running && tourStatus.id === document.getElementById('tour-select').value;
+  runBtn.textContent = running ? 'Stop' : 'Start';
+  runBtn.classList.toggle('bg-red-600', running);
+  runBtn.classList.toggle('hover:bg-red-700', running);
+  runBtn.classList.toggle('bg-green-600', !running);
+  runBtn.classList.toggle('hover:bg-green-700', !running);
+}
+
+async function stopTour() {
+  const data = await sendTourRequest('/api/tours/stop', 'POST');
+  if (data.success) applyTourStatus(data.data);
+  vibrate(30);
+}
+
+async function sendTourRequest(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Tour request failed');
+    return data;
+  } catch (e) {
+    console.error(`Tour request ${url} failed:`, e);
+    return { success: false, error: e.message };
+  }
+}
+
+async function sendHome() {
+  try {
     await fetch('/api/ptz/home', { method: 'POST' });
   } catch (e) {
     console.error('Home failed:', e);
   }
 }
 
+// Device controls - power pill, tally and freeze in the header, flip/mirror/auto tally in Settings
+const DEVICE_POLL_MS = 10000;
+const TALLY_POLL_MS = 1000;
+// Order the tally button steps through
+const TALLY_CYCLE = ['off', 'green', 'red'];
+let cameraPower = null;
+let tallyColor = 'off';
+
+function setupDeviceControls() {
+  const powerBtn = document.getElementById('power-btn');
+  const freezeBtn = document.getElementById('freeze-btn');
+
+  powerBtn.addEventListener('click', async () => {
+    const state = cameraPower === 'on' ? 'standby' : 'on';
+    if (state === 'standby' && !confirm('Put the camera in standby? The picture will go dark.')) {
+      return;
+    }
+    powerBtn.textContent = state === 'on' ? 'Waking...' : 'Sleeping...';
+    await sendDeviceRequest('power', { state });
+    loadDeviceState();
+  });
+
+  freezeBtn.addEventListener('click', async () => {
+    const enabled = !freezeBtn.classList.contains('active');
+    const data = await sendDeviceRequest('freeze', { enabled });
+    if (data.success) freezeBtn.classList.toggle('active', enabled);
+    vibrate(20);
+  });
+
+  document.getElementById('tally-btn').addEventListener('click', async () => {
+    const next = TALLY_CYCLE[(TALLY_CYCLE.indexOf(tallyColor) + 1) % TALLY_CYCLE.length];
+    const data = await sendDeviceRequest('tally', { color: next });
+    if (data.success) applyTallyState(data.data);
+    vibrate(20);
+  });
+
+  document.getElementById('tally-auto-toggle').addEventListener('click', async (e) => {
+    const enabled = !e.currentTarget.classList.contains('active');
+    const data = await sendDeviceRequest('tally/auto', { enabled });
+    if (data.success) applyTallyState(data.data);
+    vibrate(20);
+  });
+
+  ['flip', 'mirror'].forEach(name => {
+    const toggle = document.getElementById(`${name}-toggle`);
+    toggle.addEventListener('click', async () => {
+      const enabled = !toggle.classList.contains('active');
+      const data = await sendDeviceRequest(name, { enabled });
+      if (data.success) toggle.classList.toggle('active', enabled);
+      vibrate(20);
+    });
+  });
+
+  loadDeviceState();
+  setInterval(() => {
+    if (!document.hidden) loadDeviceState();
+  }, DEVICE_POLL_MS);
+
+  // Tally polls faster so the on-air border follows the switcher closely
+  loadTallyState();
+  setInterval(() => {
+    if (!document.hidden) loadTallyState();
+  }, TALLY_POLL_MS);
+}
+
+async function loadDeviceState() {
+  try {
+    const response = await fetch('/api/device/state');
+    const data = await response.json();
+    if (!data.success) {
+      applyPowerState(null);
+      return;
+    }
+    const { power, flip, mirror, freeze } = data.data;
+    applyPowerState(power);
+    if (flip !== null) document.getElementById('flip-toggle').classList.toggle('active', flip);
+    if (mirror !== null) document.getElementById('mirror-toggle').classList.toggle('active', mirror);
+    if (freeze !== null) document.getElementById('freeze-btn').classList.toggle('active', freeze);
+  } catch (e) {
+    applyPowerState(null);
+  }
+}
+
+// Show power state in the header pill
+function applyPowerState(power) {
+  cameraPower = power;
+  const powerBtn = document.getElementById('power-btn');
+  powerBtn.textContent = power === 'on' ? 'On' : power === 'standby' ? 'Standby' : '--';
+  powerBtn.classList.toggle('standby', power === 'standby');
+}
+
+async function loadTallyState() {
+  try {
+    const response = await fetch('/api/device/tally');
+    const data = await response.json();
+    if (data.success) applyTallyState(data.data);
+  } catch (e) {
+    console.error('Failed to load tally state:', e);
+  }
+}
+
+// Show the tally color on the header button and video (red = on air), and the auto mode in Settings
+// On air follows the switcher when there is one - even if the lamp didn't take its tally
+function applyTallyState({ color, auto, source, switcher }) {
+  tallyColor = color;
+  const tallyBtn = document.getElementById('tally-btn');
+  tallyBtn.classList.toggle('tally-red', color === 'red');
+  tallyBtn.classList.toggle('tally-green', color === 'green');
+  tallyBtn.title = source === 'switcher' ? 'Tally lamp (from switcher)'
+    : auto ? 'Tally lamp (auto from stream state)'
+    : 'Tally lamp (tap to cycle off, green, red)';
+  document.getElementById('tally-auto-toggle').classList.toggle('active', auto);
+  const onAir = switcher ? switcher === 'red' : color === 'red';
+  document.getElementById('video-container').classList.toggle('on-air', onAir);
+  document.getElementById('on-air-badge').classList.toggle('hidden', !onAir);
+}
+
+async function sendDeviceRequest(path, body) {
+  try {
+    const response = await fetch(`/api/device/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Camera command failed');
+    return data;
+  } catch (e) {
+    console.error(`Device ${path} failed:`, e);
+    return { success: false, error: e.message };
+  }
+}
+
+// Setup motion smoothing controls (server applies them immediately)
+async function setupSmoothingControls() {
+  const toggle = document.getElementById('smoothing-toggle');
+  const ramp = document.getElementById('smoothing-ramp');
+  const rampValue = document.getElementById('smoothing-ramp-value');
+
+  toggle.addEventListener('click', () => {
+    toggle.classList.toggle('active');
+    sendSmoothing({ enabled: toggle.classList.contains('active') });
+    vibrate(20);
+  });
+  ramp.addEventListener('input', () => {
+    rampValue.textContent = `${ramp.value}ms`;
+  });
+  ramp.addEventListener('change', () => {
+    sendSmoothing({ rampMs: parseInt(ramp.value) });
+  });
+
+  try {
+    const response = await fetch('/api/ptz/smoothing');
+    const data = await response.json();
+    if (data.success) {
+      toggle.classList.toggle('active', data.data.enabled);
+      ramp.value = data.data.rampMs;
+      rampValue.textContent = `${data.data.rampMs}ms`;
+    }
+  } catch (e) {
+    console.error('Failed to load smoothing settings:', e);
+  }
+}
+
+async function sendSmoothing(settings) {
+  try {
+    const response = await fetch('/api/ptz/smoothing', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    });
+    const data = await response.json();
+    if (!data.success) showToast(data.error || 'Failed to update smoothing');
+  } catch (e) {
+    console.error('Smoothing failed:', e);
+  }
+}
+
+// Setup zoom-aware speed toggle (server applies it immediately)
+async function setupZoomScalingControl() {
+  const toggle = document.getElementById('zoom-scaling-toggle');
+
+  toggle.addEventListener('click', async () => {
+    toggle.classList.toggle('active');
+    vibrate(20);
+    try {
+      const response = await fetch('/api/ptz/zoom-scaling', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: toggle.classList.contains('active') })
+      });
+      const data = await response.json();
+      if (!data.success) showToast(data.error || 'Failed to update zoom-aware speed');
+    } catch (e) {
+      console.error('Zoom scaling failed:', e);
+    }
+  });
+
+  try {
+    const response = await fetch('/api/ptz/zoom-scaling');
+    const data = await response.json();
+    if (data.success) toggle.classList.toggle('active', data.data.enabled);
+  } catch (e) {
+    console.error('Failed to load zoom-aware speed setting:', e);
+  }
+}
+
 // Setup settings tabs
 function setupSettingsTabs() {
   const tabs = document.querySelectorAll('.settings-tab');
@@ -776,6 +1907,13 @@ function setupSettingsTabs() {
           panel.classList.remove('hidden');
         }
       });
+
+      // Show the camera's current values when a panel opens
+      if (targetPanel === 'image') {
+        loadImageSettings();
+      } else {
+        loadCameraState();
+      }
     });
   });
 }
@@ -825,6 +1963,8 @@ function setupModals() {
   const presetMainView = document.getElementById('preset-main-view');
   const presetConfirmView = document.getElementById('preset-confirm-view');
 
+  const presetTourView = document.getElementById('preset-tour-view');
+
   document.getElementById('close-preset-modal').addEventListener('click', () => {
     closeModal(elements.presetModal);
     presetMainView.classList.remove('hidden');
@@ -837,9 +1977,22 @@ function setupModals() {
       closeModal(elements.presetModal);
       presetMainView.classList.remove('hidden');
       presetConfirmView.classList.add('hidden');
+      presetTourView.classList.add('hidden');
     }
   });
 
+  // Tour editor
+  document.getElementById('open-tours').addEventListener('click', () => {
+    presetMainView.classList.add('hidden');
+    presetTourView.classList.remove('hidden');
+    loadTours();
+  });
+
+  document.getElementById('tour-back').addEventListener('click', () => {
+    presetTourView.classList.add('hidden');
+    presetMainView.classList.remove('hidden');
+  });
+
   // Icon selection handlers
   document.querySelectorAll('.preset-icon-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -861,6 +2014,30 @@ function setupModals() {
     updatePresetPreview();
   });
 
+  // Recall speed (0 = default)
+  document.getElementById('preset-speed').addEventListener('input', (e) => {
+    document.getElementById('preset-speed-value').textContent = parseInt(e.target.value) || 'Default';
+  });
+
+  document.getElementById('preset-axis-toggle').addEventListener('click', (e) => {
+    const enabled = e.currentTarget.classList.toggle('active');
+    document.getElementById('preset-axis-speeds').classList.toggle('hidden', !enabled);
+    if (enabled && !document.getElementById('preset-pan-speed').value) {
+      // Start from the single recall speed (or a moderate one)
+      const speed = parseInt(document.getElementById('preset-speed').value) || 12;
+      document.getElementById('preset-pan-speed').value = speed;
+      document.getElementById('preset-tilt-speed').value = Math.min(speed, 20);
+    }
+  });
+
+  // Which image settings are re-applied after a recall
+  document.querySelectorAll('.preset-restore-toggle').forEach(toggle => {
+    toggle.addEventListener('click', () => {
+      toggle.classList.toggle('active');
+      vibrate(10);
+    });
+  });
+
   // Save label and icon (no position change)
   document.getElementById('save-preset-name').addEventListener('click', () => {
     if (currentPreset) {
@@ -868,6 +2045,8 @@ function setupModals() {
       if (!presets[currentPreset]) presets[currentPreset] = {};
       presets[currentPreset].name = name;
       presets[currentPreset].icon = currentPresetIcon;
+      readPresetSpeeds(presets[currentPreset]);
+      readPresetRestore(presets[currentPreset]);
       savePresets();
       setupPresets();
       closeModal(elements.presetModal);
@@ -889,19 +2068,26 @@ function setupModals() {
   });
 
   // Confirm position save
-  document.getElementById('confirm-save-position').addEventListener('click', () => {
+  document.getElementById('confirm-save-position').addEventListener('click', async () => {
     if (currentPreset) {
-      setPreset(currentPreset);
+      const saved = setPreset(currentPreset);
       const name = document.getElementById('preset-name-input').value.trim();
       if (!presets[currentPreset]) presets[currentPreset] = {};
       if (name) presets[currentPreset].name = name;
       presets[currentPreset].icon = currentPresetIcon;
-      savePresets();
+      readPresetSpeeds(presets[currentPreset]);
+      readPresetRestore(presets[currentPreset]);
+      const stored = savePresets();
       setupPresets();
       closeModal(elements.presetModal);
       presetMainView.classList.remove('hidden');
       presetConfirmView.classList.add('hidden');
       vibrate(50);
+
+      // Pick up the thumbnail the server took
+      await Promise.all([saved, stored]);
+      await loadPresets();
+      setupPresets();
     }
   });
 
@@ -958,11 +2144,66 @@ function openPresetModal(number) {
 
   // Update preview
   updatePresetPreview();
+  showPresetSpeeds(presets[number] || {});
+  showPresetRestore(presets[number] || {});
+
+  const thumbnail = document.getElementById('preset-thumbnail');
+  thumbnail.classList.toggle('hidden', !presets[number]?.thumbnail);
+  if (presets[number]?.thumbnail) thumbnail.src = presetThumbnailUrl(number);
 
   openModal(elements.presetModal);
   vibrate(30);
 }
 
+// Fill the recall speed fields from a preset record
+function showPresetSpeeds({ speed, speeds }) {
+  document.getElementById('preset-speed').value = speed || 0;
+  document.getElementById('preset-speed-value').textContent = speed || 'Default';
+  document.getElementById('preset-axis-toggle').classList.toggle('active', !!speeds);
+  document.getElementById('preset-axis-speeds').classList.toggle('hidden', !speeds);
+  document.getElementById('preset-pan-speed').value = speeds?.pan || '';
+  document.getElementById('preset-tilt-speed').value = speeds?.tilt || '';
+  document.getElementById('preset-zoom-speed').value = speeds?.zoom || '';
+}
+
+// Copy the recall speed fields into a preset record
+function readPresetSpeeds(record) {
+  const speed = parseInt(document.getElementById('preset-speed').value);
+  if (speed) record.speed = speed;
+  else delete record.speed;
+
+  if (document.getElementById('preset-axis-toggle').classList.contains('active')) {
+    const speeds = {};
+    ['pan', 'tilt', 'zoom'].forEach(axis => {
+      const value = parseInt(document.getElementById(`preset-${axis}-speed`).value);
+      if (value) speeds[axis] = value;
+    });
+    record.speeds = speeds;
+  } else {
+    delete record.speeds;
+  }
+}
+
+// Set the restore toggles from a preset record
+function showPresetRestore({ image, restore }) {
+  document.querySelectorAll('.preset-restore-toggle').forEach(toggle => {
+    toggle.classList.toggle('active', !!restore?.[toggle.dataset.restore]);
+  });
+  document.getElementById('preset-restore-note').textContent = image
+    ? 'Settings were captured with the position'
+    : 'Settings are captured by Save Current Camera Position';
+}
+
+// Copy the restore toggles into a preset record
+function readPresetRestore(record) {
+  const restore = {};
+  document.querySelectorAll('.preset-restore-toggle').forEach(toggle => {
+    if (toggle.classList.contains('active')) restore[toggle.dataset.restore] = true;
+  });
+  if (Object.keys(restore).length) record.restore = restore;
+  else delete record.restore;
+}
+
 function updatePresetPreview() {
   const previewIcon = document.getElementById('preset-preview-icon');
   const previewLabel = document.getElementById('preset-preview-label');
@@ -984,6 +2225,78 @@ function updatePresetPreview() {
   }
 }
 
+// PTZ control WebSocket - avoids an HTTP round trip per joystick update
+const CONTROL_SOCKET_RETRY_MS = 2000;
+let controlSocket = null;
+let controlSeq = 0;
+
+function connectControlSocket() {
+  const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+  const socket = new WebSocket(`${protocol}://${location.host}/api/ptz/ws`);
+
+  socket.addEventListener('open', () => {
+    controlSocket = socket;
+  });
+  socket.addEventListener('message', (event) => {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    // Stale acks are expected - a newer command replaced that one
+    if (msg.type === 'ack' && !msg.success && !msg.stale) {
+      console.error(`PTZ command ${msg.seq} failed:`, msg.error);
+    }
+  });
+  socket.addEventListener('close', () => {
+    if (controlSocket === socket) controlSocket = null;
+    setTimeout(connectControlSocket, CONTROL_SOCKET_RETRY_MS);
+  });
+}
+
+// Send a PTZ control message over the socket, or POST it when the socket is down
+async function sendControl(type, payload, restPath) {
+  if (controlSocket && controlSocket.readyState === WebSocket.OPEN) {
+    controlSocket.send(JSON.stringify({ seq: ++controlSeq, type, ...payload }));
+    return;
+  }
+  try {
+    await fetch(restPath, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+  } catch (e) {
+    console.error(`${type} failed:`, e);
+  }
+}
+
+// Send a VISCA API request, telling the operator when the camera rejects it
+async function viscaRequest(path, body = {}) {
+  const response = await fetch(`/api/visca/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!data.success) {
+    console.error(`VISCA ${path} failed:`, data.code, data.error);
+    showToast(data.error || 'Camera command failed');
+  }
+  return data;
+}
+
+// Show a short message at the bottom of the screen
+let toastTimeout = null;
+function showToast(message, duration = 3000) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.remove('hidden');
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => toast.classList.add('hidden'), duration);
+}
+
 // Haptic feedback
 function vibrate(duration) {
   if (navigator.vibrate) {
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Stand-in video switcher: sends TSL UMD 3.1 or 5.0 tally to the controller
+ *
+ * Lets you try the TSL listener (the `tsl` block in config.json) without a
+ * switcher. Each state is sent for the given index, one per interval:
+ *   pgm - program (lamp red), pvw - preview (lamp green), off - neither
+ *
+ * Usage:
+ *   node scripts/tsl-sender.js <3.1|5.0> <udp|tcp> <port> <index> <pgm|pvw|off>... [--host <ip>] [--interval <ms>]
+ *
+ * Example - preview, then program, then off over TSL 5.0 UDP:
+ *   node scripts/tsl-sender.js 5.0 udp 8900 1 pvw pgm off
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+
+const STATES = ['pgm', 'pvw', 'off'];
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_INTERVAL = 1000;
+const LABEL = 'TSL SENDER';
+// TSL 5.0 TCP framing (DLE/STX, with literal DLE sent twice)
+const DLE = 0xFE;
+const STX = 0x02;
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node scripts/tsl-sender.js <3.1|5.0> <udp|tcp> <port> <index> <pgm|pvw|off>... [--host <ip>] [--interval <ms>]');
+  process.exit(1);
+}
+
+/**
+ * TSL 3.1: address + 0x80, control byte (bit 0 program, bit 1 preview), 16 bytes of text
+ */
+function buildTsl31(index, state) {
+  const packet = Buffer.alloc(18, 0x20);
+  packet[0] = 0x80 + index;
+  packet[1] = (state === 'pgm' ? 0x01 : 0) | (state === 'pvw' ? 0x02 : 0);
+  packet.write(LABEL.slice(0, 16), 2, 'ascii');
+  return packet;
+}
+
+/**
+ * TSL 5.0: PBC, version, flags, screen, then one display message with the
+ * same lamp (1 red, 2 green) on the RH, text and LH tally, brightness full
+ */
+function buildTsl5(index, state) {
+  const text = Buffer.from(LABEL, 'utf8');
+  const lamp = state === 'pgm' ? 1 : state === 'pvw' ? 2 : 0;
+
+  const packet = Buffer.alloc(12 + text.length);
+  packet.writeUInt16LE(packet.length - 2, 0);
+  // Version 0, flags 0, screen 0
+  packet.writeUInt16LE(index, 6);
+  packet.writeUInt16LE(lamp | (lamp << 2) | (lamp << 4) | (3 << 6), 8);
+  packet.writeUInt16LE(text.length, 10);
+  text.copy(packet, 12);
+  return packet;
+}
+
+// Wrap a TSL 5.0 packet for TCP
+function wrapDleStx(packet) {
+  const bytes = [DLE, STX];
+  for (const byte of packet) {
+    bytes.push(byte);
+    if (byte === DLE) bytes.push(DLE);
+  }
+  return Buffer.from(bytes);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function sendUdp(packets, host, port, interval) {
+  const socket = dgram.createSocket('udp4');
+  for (const [state, packet] of packets) {
+    await new Promise(resolve => socket.send(packet, port, host, resolve));
+    console.log(`Sent ${state}`);
+    await sleep(interval);
+  }
+  socket.close();
+}
+
+async function sendTcp(packets, host, port, interval) {
+  const socket = net.connect(port, host);
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+  for (const [state, packet] of packets) {
+    socket.write(packet);
+    console.log(`Sent ${state}`);
+    await sleep(interval);
+  }
+  socket.end();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const options = { host: DEFAULT_HOST, interval: DEFAULT_INTERVAL };
+  for (const name of ['host', 'interval']) {
+    const at = args.indexOf(`--${name}`);
+    if (at >= 0) {
+      options[name] = args[at + 1];
+      args.splice(at, 2);
+    }
+  }
+
+  const [protocol, transport, port, index, ...states] = args;
+  if (!['3.1', '5.0'].includes(protocol)) usage('Protocol must be 3.1 or 5.0');
+  if (!['udp', 'tcp'].includes(transport)) usage('Transport must be udp or tcp');
+  if (!/^\d+$/.test(port || '')) usage('Port must be a number');
+  const maxIndex = protocol === '3.1' ? 126 : 65534;
+  if (!/^\d+$/.test(index || '') || Number(index) > maxIndex) usage(`Index must be 0-${maxIndex}`);
+  if (states.length === 0 || !states.every(state => STATES.includes(state))) usage('States must be pgm, pvw or off');
+  const interval = Number(options.interval);
+  if (!Number.isFinite(interval) || interval < 0) usage('Interval must be a number of milliseconds');
+
+  const build = protocol === '3.1' ? buildTsl31 : buildTsl5;
+  const packets = states.map(state => {
+    const packet = build(Number(index), state);
+    return [state, protocol === '5.0' && transport === 'tcp' ? wrapDleStx(packet) : packet];
+  });
+
+  console.log(`TSL ${protocol} over ${transport} to ${options.host}:${port}, index ${index}`);
+  const send = transport === 'udp' ? sendUdp : sendTcp;
+  await send(packets, options.host, Number(port), interval);
+}
+
+main().catch(error => {
+  console.error('Failed:', error.message);
+  process.exit(1);
+});
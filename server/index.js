@@ -5,7 +5,6 @@ const { createProxyMiddleware } = require('http-proxy-middleware');
 
 // Load config (use function to allow reloading)
 const CONFIG_PATH = path.join(__dirname, '../config.json');
-const PRESETS_PATH = path.join(__dirname, '../presets.json');
 
 function loadConfig() {
   delete require.cache[require.resolve('../config.json')];
@@ -13,35 +12,19 @@ function loadConfig() {
 }
 let config = loadConfig();
 
-// Load presets from file
-function loadPresets() {
-  try {
-    if (fs.existsSync(PRESETS_PATH)) {
-      return JSON.parse(fs.readFileSync(PRESETS_PATH, 'utf8'));
-    }
-  } catch (error) {
-    console.error('[Presets] Error loading presets:', error.message);
-  }
-  return {};
-}
-
-// Save presets to file
-function savePresets(presets) {
-  try {
-    fs.writeFileSync(PRESETS_PATH, JSON.stringify(presets, null, 2), 'utf8');
-    console.log('[Presets] Saved to file');
-    return true;
-  } catch (error) {
-    console.error('[Presets] Error saving presets:', error.message);
-    return false;
-  }
-}
-
 const ptzRoutes = require('./routes/ptz');
 const viscaRoutes = require('./routes/visca');
 const devicesRoutes = require('./routes/devices');
 const vidiuRoutes = require('./routes/vidiu');
+const ptzSocket = require('./routes/ptz-socket');
+const deviceControlRoutes = require('./routes/device-control');
+const cameraRoutes = require('./routes/camera');
+const tourRoutes = require('./routes/tours');
+const { sendResult } = require('./routes/send-result');
+const camera = require('./services/camera');
+const presetStore = require('./services/presets');
 const mediamtx = require('./services/mediamtx');
+const tsl = require('./services/tsl');
 
 const app = express();
 const PORT = config.server.port;
@@ -52,6 +35,8 @@ const videoProxyOptions = {
   target: `http://localhost:${config.mediamtx.webrtcPort}`,
   changeOrigin: true,
   ws: true,
+  // With ws enabled the proxy sees every WebSocket upgrade - leave /api ones (PTZ socket) alone
+  pathFilter: (path, req) => !(req.originalUrl || req.url).startsWith('/api/'),
   on: {
     error: (err, req, res) => {
       console.error('[Video Proxy] Error:', err.message);
@@ -104,6 +89,9 @@ app.use(express.static(path.join(__dirname, '../public')));
 // API routes
 app.use('/api/ptz', ptzRoutes);
 app.use('/api/visca', viscaRoutes);
+app.use('/api/device', deviceControlRoutes);
+app.use('/api/camera', cameraRoutes);
+app.use('/api/tours', tourRoutes);
 app.use('/api/devices', devicesRoutes);
 app.use('/api/vidiu', vidiuRoutes);
 
@@ -183,43 +171,69 @@ app.post('/api/settings', async (req, res) => {
 
 // Get all presets
 app.get('/api/presets', (req, res) => {
-  const presets = loadPresets();
+  const presets = presetStore.loadPresets();
   res.json({ success: true, data: presets });
 });
 
 // Save all presets
 app.post('/api/presets', (req, res) => {
   const presets = req.body;
-  if (savePresets(presets)) {
+  if (presetStore.savePresets(presets)) {
     res.json({ success: true, message: 'Presets saved' });
   } else {
     res.status(500).json({ success: false, error: 'Failed to save presets' });
   }
 });
 
+// Button layout (groups and the preset behind each button)
+app.get('/api/presets/layout', (req, res) => {
+  sendResult(res, presetStore.getLayout());
+});
+
+app.put('/api/presets/layout', (req, res) => {
+  sendResult(res, presetStore.saveLayout(req.body));
+});
+
 // Update a single preset
 app.put('/api/presets/:id', (req, res) => {
   const presetId = req.params.id;
   const presetData = req.body;
-  const presets = loadPresets();
-  presets[presetId] = presetData;
-  if (savePresets(presets)) {
+  if (presetStore.savePreset(presetId, presetData)) {
     res.json({ success: true, message: `Preset ${presetId} saved` });
   } else {
     res.status(500).json({ success: false, error: 'Failed to save preset' });
   }
 });
 
+// Preset thumbnail (captured when the position was saved)
+app.get('/api/presets/:id/thumbnail', (req, res) => {
+  const presetId = parseInt(req.params.id, 10);
+  const file = presetId >= 1 && presetId <= 254 ? presetStore.getThumbnailPath(presetId) : null;
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'No thumbnail for this preset' });
+  }
+  res.sendFile(file);
+});
+
 // Serve index.html for all other routes (SPA fallback)
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`PTZ Controller running at http://localhost:${PORT}`);
   console.log(`Camera IP: ${config.camera.ip}`);
   console.log(`MediaMTX WebRTC: http://localhost:${config.mediamtx.webrtcPort}/camera`);
 
+  // Learn the camera model so speed limits and lens data match it
+  camera.getCameraInfo().then(result => {
+    if (result.success) {
+      console.log(`[Camera] ${result.data.model || 'Unknown model'} (using ${result.data.capabilities.name})`);
+    }
+  });
+  // Zoom position for zoom-aware joystick speed (also opens the VISCA connection)
+  camera.primeZoomCache();
+
   // Generate MediaMTX config and start it
   mediamtx.updateConfig(config).then(() => {
     console.log('[MediaMTX] Started automatically');
@@ -227,3 +241,9 @@ app.listen(PORT, '0.0.0.0', () => {
     console.error('[MediaMTX] Failed to start:', err.message);
   });
 });
+
+// Low-latency PTZ control channel (falls back to REST in the browser)
+ptzSocket.attach(server);
+
+// Switcher tally over TSL UMD (only if config.tsl.enabled)
+tsl.start();
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const camera = require('../services/camera');
+const { sendResult } = require('./send-result');
+
+// Camera identity and model capabilities (speed limits, features, lens data)
+// GET /api/camera/info
+router.get('/info', async (req, res) => {
+  const result = await camera.getCameraInfo();
+  sendResult(res, result);
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const visca = require('../services/visca-client');
+const tally = require('../services/tally');
+const tsl = require('../services/tsl');
+const { sendResult } = require('./send-result');
+
+// Read power, flip, mirror and freeze state
+// GET /api/device/state
+router.get('/state', async (req, res) => {
+  const result = await visca.getDeviceState();
+  sendResult(res, result);
+});
+
+// Power on or standby
+// POST /api/device/power { state: 'on'|'standby' }
+router.post('/power', async (req, res) => {
+  const { state } = req.body;
+  const result = await visca.setPower(state);
+  sendResult(res, result);
+});
+
+// On/off picture controls
+// POST /api/device/flip { enabled }   - upside down, for ceiling mounts
+// POST /api/device/mirror { enabled } - left/right reversed
+// POST /api/device/freeze { enabled } - hold the current picture (e.g. while repositioning)
+const TOGGLES = {
+  flip: visca.setFlip,
+  mirror: visca.setMirror,
+  freeze: visca.setFreeze
+};
+
+for (const [name, setter] of Object.entries(TOGGLES)) {
+  router.post(`/${name}`, async (req, res) => {
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const result = await setter(enabled);
+    sendResult(res, result);
+  });
+}
+
+// Tally lamp
+// GET /api/device/tally
+router.get('/tally', (req, res) => {
+  sendResult(res, tally.getTally());
+});
+
+// POST /api/device/tally { color: 'red'|'green'|'off' } - manual, turns auto off
+router.post('/tally', async (req, res) => {
+  const { color } = req.body;
+  const result = await tally.setTally(color);
+  sendResult(res, result);
+});
+
+// POST /api/device/tally/auto { enabled } - follow the Vidiu stream state
+router.post('/tally/auto', async (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+
+  const result = await tally.setAuto(enabled);
+  sendResult(res, result);
+});
+
+// TSL listener settings and the last switcher tally for our index
+// GET /api/device/tally/tsl
+router.get('/tally/tsl', (req, res) => {
+  sendResult(res, tsl.getStatus());
+});
+
+module.exports = router;
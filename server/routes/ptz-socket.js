@@ -0,0 +1,163 @@
+const { WebSocketServer } = require('ws');
+const camera = require('../services/camera');
+
+const SOCKET_PATH = '/api/ptz/ws';
+// Drop clients that stop answering pings (phone locked, Wi-Fi gone)
+const PING_INTERVAL = 10000;
+
+const VALID_DIRECTIONS = ['up', 'down', 'left', 'right', 'upleft', 'upright', 'downleft', 'downright'];
+
+// Which motion each message type controls - a newer message supersedes older ones in the same group
+const MESSAGE_GROUPS = {
+  move: 'panTilt',
+  velocity: 'panTilt',
+  stop: 'panTilt',
+  zoom: 'zoom',
+  focus: 'focus'
+};
+
+/**
+ * Run one control message against the camera
+ * @param {object} msg - { type, ... } - same fields as the matching REST route
+ */
+async function runMessage(msg) {
+  switch (msg.type) {
+    case 'move':
+      if (!VALID_DIRECTIONS.includes(msg.direction)) {
+        return { success: false, error: 'Invalid direction' };
+      }
+      return camera.move(msg.direction, msg.panSpeed || 12, msg.tiltSpeed || 12);
+
+    case 'velocity': {
+      const { pan = 0, tilt = 0 } = msg;
+      if (!Number.isFinite(pan) || !Number.isFinite(tilt)) {
+        return { success: false, error: 'pan and tilt must be numbers' };
+      }
+      return camera.setVelocity(pan, tilt);
+    }
+
+    case 'stop':
+      return camera.stop();
+
+    case 'zoom':
+      if (msg.action === 'in') return camera.zoomIn(msg.speed || 4);
+      if (msg.action === 'out') return camera.zoomOut(msg.speed || 4);
+      if (msg.action === 'stop') return camera.zoomStop();
+      return { success: false, error: 'Invalid zoom action' };
+
+    case 'focus':
+      if (msg.action === 'in') return camera.focusIn(msg.speed || 4);
+      if (msg.action === 'out') return camera.focusOut(msg.speed || 4);
+      if (msg.action === 'stop') return camera.focusStop();
+      return { success: false, error: 'Invalid focus action' };
+
+    default:
+      return { success: false, error: `Unknown message type: ${msg.type}` };
+  }
+}
+
+/**
+ * Handle one WebSocket client
+ *
+ * Messages: { seq, type: 'move'|'velocity'|'stop'|'zoom'|'focus', ... }
+ * Each is answered with { type: 'ack', seq, success, error?, stale? }.
+ * Messages are run in order; one that arrives behind a newer seq, or is
+ * superseded by a newer message for the same motion before it runs, is
+ * dropped and acked as stale. Stops always run.
+ */
+function handleConnection(ws) {
+  let lastSeq = -1;
+  const latestInGroup = {};
+  let chain = Promise.resolve();
+  let moving = false;
+
+  const reply = (data) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(data));
+  };
+
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  const handleMessage = (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch (e) {
+      return reply({ type: 'error', error: 'Invalid JSON' });
+    }
+    // JSON.parse also takes null, numbers and arrays
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      return reply({ type: 'error', error: 'Message must be an object' });
+    }
+
+    const seq = Number.isFinite(msg.seq) ? msg.seq : lastSeq + 1;
+    const group = Object.hasOwn(MESSAGE_GROUPS, msg.type) ? MESSAGE_GROUPS[msg.type] : null;
+
+    if (msg.type !== 'stop' && seq <= lastSeq) {
+      return reply({ type: 'ack', seq, success: false, stale: true });
+    }
+    lastSeq = Math.max(lastSeq, seq);
+    if (group) latestInGroup[group] = seq;
+
+    chain = chain.then(async () => {
+      if (msg.type !== 'stop' && group && latestInGroup[group] > seq) {
+        return reply({ type: 'ack', seq, success: false, stale: true });
+      }
+      const result = await runMessage(msg);
+      if (result.success) moving = msg.type !== 'stop';
+      reply({ type: 'ack', seq, success: !!result.success, error: result.error });
+    }).catch((err) => {
+      console.error('[PTZ Socket] Message error:', err.message);
+      reply({ type: 'ack', seq, success: false, error: err.message });
+    });
+  };
+
+  ws.on('message', (raw) => {
+    // A bad frame must never throw out of the ws event and take the server down
+    try {
+      handleMessage(raw);
+    } catch (err) {
+      console.error('[PTZ Socket] Message error:', err.message);
+      reply({ type: 'error', error: 'Invalid message' });
+    }
+  });
+
+  ws.on('close', () => {
+    // Don't leave the camera moving when the controlling client disappears
+    if (moving) {
+      console.log('[PTZ Socket] Client disconnected, stopping camera');
+      chain.then(() => Promise.all([camera.stop(), camera.zoomStop(), camera.focusStop()]));
+    }
+  });
+}
+
+/**
+ * Attach the PTZ control WebSocket to the HTTP server
+ * @param {http.Server} server
+ */
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== SOCKET_PATH) return;
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  wss.on('connection', (ws, req) => {
+    console.log(`[PTZ Socket] Client connected from ${req.socket.remoteAddress}`);
+    handleConnection(ws);
+  });
+
+  const pingTimer = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_INTERVAL);
+  wss.on('close', () => clearInterval(pingTimer));
+
+  return wss;
+}
+
+module.exports = { attach, SOCKET_PATH };
@@ -1,11 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const camera = require('../services/camera');
+const presets = require('../services/presets');
+const cameraModels = require('../services/camera-models');
+const { sendResult } = require('./send-result');
+
+// Check an optional absolute-move speed: 1 to the model's pan speed
+// Returns the error message, or null if it's fine
+function speedError(speed) {
+  const maxSpeed = cameraModels.getModel().speeds.pan;
+  if (speed !== undefined && !(Number.isInteger(speed) && speed >= 1 && speed <= maxSpeed)) {
+    return `Speed must be 1-${maxSpeed}`;
+  }
+  return null;
+}
 
 // Move camera in a direction
-// POST /api/ptz/move { direction, panSpeed, tiltSpeed, simulate }
+// POST /api/ptz/move { direction, panSpeed, tiltSpeed }
 router.post('/move', async (req, res) => {
-  const { direction, panSpeed, tiltSpeed, simulate } = req.body;
+  const { direction, panSpeed, tiltSpeed } = req.body;
   console.log(`[PTZ] Move request: direction=${direction}, panSpeed=${panSpeed}, tiltSpeed=${tiltSpeed}`);
 
   const validDirections = ['up', 'down', 'left', 'right', 'upleft', 'upright', 'downleft', 'downright'];
@@ -14,9 +27,20 @@ router.post('/move', async (req, res) => {
     return res.status(400).json({ error: 'Invalid direction' });
   }
 
-  // Enable diagonal simulation by default for now (can be toggled via setting later)
-  const useSimulation = simulate !== undefined ? simulate : true;
-  const result = await camera.move(direction, panSpeed || 12, tiltSpeed || 12, useSimulation);
+  const result = await camera.move(direction, panSpeed || 12, tiltSpeed || 12);
+  res.json(result);
+});
+
+// Continuous velocity control
+// POST /api/ptz/velocity { pan, tilt } - signed -1..1 (right/up positive)
+// Repeat at least every 250ms while moving; the server stops the camera if the client goes quiet
+router.post('/velocity', async (req, res) => {
+  const { pan = 0, tilt = 0 } = req.body;
+  if (!Number.isFinite(pan) || !Number.isFinite(tilt)) {
+    return res.status(400).json({ error: 'pan and tilt must be numbers' });
+  }
+
+  const result = await camera.setVelocity(pan, tilt);
   res.json(result);
 });
 
@@ -49,6 +73,37 @@ router.post('/zoom', async (req, res) => {
   res.json(result);
 });
 
+// Read zoom position and range
+// GET /api/ptz/zoom/position
+router.get('/zoom/position', async (req, res) => {
+  const result = await camera.getZoom();
+  sendResult(res, result);
+});
+
+// Zoom straight to a position
+// POST /api/ptz/zoom/position { position } - 0 (wide) to the max from GET
+router.post('/zoom/position', async (req, res) => {
+  const { position } = req.body;
+  if (!Number.isFinite(position)) {
+    return res.status(400).json({ error: 'Invalid zoom position' });
+  }
+
+  const result = await camera.setZoomPosition(position);
+  sendResult(res, result);
+});
+
+// Digital zoom on/off
+// POST /api/ptz/zoom/digital { enabled }
+router.post('/zoom/digital', async (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+
+  const result = await camera.setDigitalZoom(enabled);
+  sendResult(res, result);
+});
+
 // Focus control
 // POST /api/ptz/focus { action, speed }
 router.post('/focus', async (req, res) => {
@@ -72,7 +127,7 @@ router.post('/focus', async (req, res) => {
 });
 
 // Preset control
-// POST /api/ptz/preset { action, number }
+// POST /api/ptz/preset { action, number } - recall uses the preset's stored speeds
 router.post('/preset', async (req, res) => {
   const { action, number } = req.body;
 
@@ -83,10 +138,10 @@ router.post('/preset', async (req, res) => {
   let result;
   switch (action) {
     case 'call':
-      result = await camera.presetCall(number);
+      result = await presets.recallPreset(number);
       break;
     case 'set':
-      result = await camera.presetSet(number);
+      result = await presets.storePreset(number);
       break;
     default:
       return res.status(400).json({ error: 'Invalid preset action' });
@@ -101,4 +156,94 @@ router.post('/home', async (req, res) => {
   res.json(result);
 });
 
+// Read absolute pan/tilt/zoom position
+// GET /api/ptz/position
+router.get('/position', async (req, res) => {
+  const result = await camera.getPosition();
+  sendResult(res, result);
+});
+
+// Move to absolute position
+// POST /api/ptz/position { pan, tilt, zoom, speed }
+router.post('/position', async (req, res) => {
+  const { pan, tilt, zoom, speed } = req.body;
+
+  const values = { pan, tilt, zoom };
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== undefined && !Number.isFinite(value)) {
+      return res.status(400).json({ error: `Invalid ${name} position` });
+    }
+  }
+  if (pan === undefined && tilt === undefined && zoom === undefined) {
+    return res.status(400).json({ error: 'Position requires pan, tilt or zoom' });
+  }
+  const invalidSpeed = speedError(speed);
+  if (invalidSpeed) {
+    return res.status(400).json({ error: invalidSpeed });
+  }
+
+  const result = await camera.moveToPosition({ pan, tilt, zoom, speed });
+  sendResult(res, result);
+});
+
+// Center the camera on a point in the video
+// POST /api/ptz/aim { x, y, speed } - x/y 0..1 from the top-left of the frame
+router.post('/aim', async (req, res) => {
+  const { x, y, speed } = req.body;
+  const inFrame = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+  if (!inFrame(x) || !inFrame(y)) {
+    return res.status(400).json({ error: 'x and y must be 0-1' });
+  }
+  const invalidSpeed = speedError(speed);
+  if (invalidSpeed) {
+    return res.status(400).json({ error: invalidSpeed });
+  }
+
+  const result = await camera.aimAt(x, y, speed);
+  sendResult(res, result);
+});
+
+// Frame a region of the video - center on it and zoom until it fills the frame
+// POST /api/ptz/frame { x, y, width, height, speed } - 0..1 from the top-left of the frame
+router.post('/frame', async (req, res) => {
+  const { x, y, width, height, speed } = req.body;
+  const inFrame = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+  // Small tolerance for rounding in the browser's box math
+  const fits = (start, size) => start + size <= 1.001;
+  if (![x, y, width, height].every(inFrame) || width === 0 || height === 0 ||
+      !fits(x, width) || !fits(y, height)) {
+    return res.status(400).json({ error: 'Box must lie within the frame (0-1)' });
+  }
+  const invalidSpeed = speedError(speed);
+  if (invalidSpeed) {
+    return res.status(400).json({ error: invalidSpeed });
+  }
+
+  const result = await camera.frameBox({ x, y, width, height }, speed);
+  sendResult(res, result);
+});
+
+// Motion smoothing settings
+// GET /api/ptz/smoothing
+router.get('/smoothing', (req, res) => {
+  sendResult(res, camera.getSmoothing());
+});
+
+// POST /api/ptz/smoothing { enabled, rampMs, zoomRampMs }
+router.post('/smoothing', (req, res) => {
+  const { enabled, rampMs, zoomRampMs } = req.body;
+  sendResult(res, camera.setSmoothing({ enabled, rampMs, zoomRampMs }));
+});
+
+// Zoom-aware pan/tilt speed
+// GET /api/ptz/zoom-scaling
+router.get('/zoom-scaling', (req, res) => {
+  sendResult(res, camera.getZoomScaling());
+});
+
+// POST /api/ptz/zoom-scaling { enabled }
+router.post('/zoom-scaling', (req, res) => {
+  sendResult(res, camera.setZoomScaling(req.body.enabled));
+});
+
 module.exports = router;
@@ -0,0 +1,30 @@
+// HTTP status for each VISCA (and service) error code
+const ERROR_STATUS = {
+  INVALID_ARGUMENT: 400,
+  MESSAGE_LENGTH: 502,
+  SYNTAX_ERROR: 502,
+  UNKNOWN_ERROR: 502,
+  BUFFER_FULL: 503,
+  CANCELLED: 409,
+  NO_SOCKET: 409,
+  NOT_EXECUTABLE: 409,
+  UNREACHABLE: 502,
+  DISCONNECTED: 502,
+  TIMEOUT: 504,
+  NOT_FOUND: 404,
+};
+
+/**
+ * Send a camera result, mapping VISCA error codes to an HTTP status
+ * @param {object} res - Express response
+ * @param {{success: boolean, code?: string, error?: string}} result
+ */
+function sendResult(res, result) {
+  if (result.success) {
+    return res.json(result);
+  }
+  const status = ERROR_STATUS[result.code] || 500;
+  res.status(status).json({ success: false, code: result.code, error: result.error });
+}
+
+module.exports = { sendResult, ERROR_STATUS };
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const tours = require('../services/tours');
+const { sendResult } = require('./send-result');
+
+// List saved tours
+// GET /api/tours
+router.get('/', (req, res) => {
+  sendResult(res, tours.getTours());
+});
+
+// Running tour, current step and seconds until the next recall
+// GET /api/tours/status
+router.get('/status', (req, res) => {
+  sendResult(res, tours.getStatus());
+});
+
+// Stop the running tour
+// POST /api/tours/stop
+router.post('/stop', (req, res) => {
+  sendResult(res, tours.stopTour());
+});
+
+// Create a tour
+// POST /api/tours { name, steps: [{ preset, dwell, speed? }] }
+router.post('/', (req, res) => {
+  sendResult(res, tours.saveTour(null, req.body));
+});
+
+// Replace a tour
+// PUT /api/tours/:id { name, steps }
+router.put('/:id', (req, res) => {
+  sendResult(res, tours.saveTour(req.params.id, req.body));
+});
+
+// Delete a tour
+// DELETE /api/tours/:id
+router.delete('/:id', (req, res) => {
+  sendResult(res, tours.deleteTour(req.params.id));
+});
+
+// Start a tour from its first step (replaces any running tour)
+// POST /api/tours/:id/start
+router.post('/:id/start', (req, res) => {
+  sendResult(res, tours.startTour(req.params.id));
+});
+
+module.exports = router;
@@ -1,37 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const visca = require('../services/visca-client');
+const camera = require('../services/camera');
+const { sendResult } = require('./send-result');
+
+// Read current exposure, white balance and focus state
+// GET /api/visca/state
+router.get('/state', async (req, res) => {
+  const result = await visca.getCameraState();
+  sendResult(res, result);
+});
+
+// Direct value tables (raw position -> label) for the settings UI
+// GET /api/visca/values
+router.get('/values', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...visca.VALUE_TABLES,
+      redGain: visca.COLOR_GAIN_RANGE,
+      blueGain: visca.COLOR_GAIN_RANGE,
+      focus: visca.FOCUS_RANGE
+    }
+  });
+});
 
 // Set exposure mode
 // POST /api/visca/exposure/mode { mode: 'auto'|'manual'|'shutter'|'iris'|'bright' }
 router.post('/exposure/mode', async (req, res) => {
   const { mode } = req.body;
   const result = await visca.setExposureMode(mode);
-  res.json(result);
+  sendResult(res, result);
 });
 
-// Adjust gain
-// POST /api/visca/exposure/gain { direction: 'up'|'down'|'reset' }
+// Adjust or set gain
+// POST /api/visca/exposure/gain { direction: 'up'|'down'|'reset' } or { value }
 router.post('/exposure/gain', async (req, res) => {
-  const { direction } = req.body;
-  const result = await visca.adjustGain(direction);
-  res.json(result);
+  const { direction, value } = req.body;
+  const result = value !== undefined
+    ? await visca.setGain(value)
+    : await visca.adjustGain(direction);
+  sendResult(res, result);
 });
 
-// Adjust shutter
-// POST /api/visca/exposure/shutter { direction: 'up'|'down'|'reset' }
+// Adjust or set shutter
+// POST /api/visca/exposure/shutter { direction: 'up'|'down'|'reset' } or { value }
 router.post('/exposure/shutter', async (req, res) => {
-  const { direction } = req.body;
-  const result = await visca.adjustShutter(direction);
-  res.json(result);
+  const { direction, value } = req.body;
+  const result = value !== undefined
+    ? await visca.setShutter(value)
+    : await visca.adjustShutter(direction);
+  sendResult(res, result);
 });
 
-// Adjust iris
-// POST /api/visca/exposure/iris { direction: 'up'|'down'|'reset' }
+// Adjust or set iris
+// POST /api/visca/exposure/iris { direction: 'up'|'down'|'reset' } or { value }
 router.post('/exposure/iris', async (req, res) => {
-  const { direction } = req.body;
-  const result = await visca.adjustIris(direction);
-  res.json(result);
+  const { direction, value } = req.body;
+  const result = value !== undefined
+    ? await visca.setIris(value)
+    : await visca.adjustIris(direction);
+  sendResult(res, result);
 });
 
 // Set backlight compensation
@@ -39,7 +68,7 @@ router.post('/exposure/iris', async (req, res) => {
 router.post('/exposure/backlight', async (req, res) => {
   const { enabled } = req.body;
   const result = await visca.setBacklight(enabled);
-  res.json(result);
+  sendResult(res, result);
 });
 
 // Set white balance mode
@@ -47,23 +76,27 @@ router.post('/exposure/backlight', async (req, res) => {
 router.post('/wb/mode', async (req, res) => {
   const { mode } = req.body;
   const result = await visca.setWhiteBalanceMode(mode);
-  res.json(result);
+  sendResult(res, result);
 });
 
-// Adjust red gain
-// POST /api/visca/wb/red { direction: 'up'|'down'|'reset' }
+// Adjust or set red gain
+// POST /api/visca/wb/red { direction: 'up'|'down'|'reset' } or { value }
 router.post('/wb/red', async (req, res) => {
-  const { direction } = req.body;
-  const result = await visca.adjustRedGain(direction);
-  res.json(result);
+  const { direction, value } = req.body;
+  const result = value !== undefined
+    ? await visca.setRedGain(value)
+    : await visca.adjustRedGain(direction);
+  sendResult(res, result);
 });
 
-// Adjust blue gain
-// POST /api/visca/wb/blue { direction: 'up'|'down'|'reset' }
+// Adjust or set blue gain
+// POST /api/visca/wb/blue { direction: 'up'|'down'|'reset' } or { value }
 router.post('/wb/blue', async (req, res) => {
-  const { direction } = req.body;
-  const result = await visca.adjustBlueGain(direction);
-  res.json(result);
+  const { direction, value } = req.body;
+  const result = value !== undefined
+    ? await visca.setBlueGain(value)
+    : await visca.adjustBlueGain(direction);
+  sendResult(res, result);
 });
 
 // Set focus mode
@@ -71,14 +104,84 @@ router.post('/wb/blue', async (req, res) => {
 router.post('/focus/mode', async (req, res) => {
   const { mode } = req.body;
   const result = await visca.setFocusMode(mode);
-  res.json(result);
+  sendResult(res, result);
 });
 
 // One-push autofocus
 // POST /api/visca/focus/onepush
 router.post('/focus/onepush', async (req, res) => {
   const result = await visca.focusOnePush();
-  res.json(result);
+  sendResult(res, result);
+});
+
+// Picture settings with their ranges/options and current values
+// GET /api/visca/image
+router.get('/image', async (req, res) => {
+  const result = await visca.getImageSettings();
+  if (!result.success) return sendResult(res, result);
+
+  const settings = {};
+  for (const [name, setting] of Object.entries(visca.IMAGE_SETTINGS)) {
+    settings[name] = setting.options
+      ? { options: Object.keys(setting.options), value: result.data[name] }
+      : { min: setting.min, max: setting.max, value: result.data[name] };
+  }
+  res.json({ success: true, data: settings });
+});
+
+// Set a picture setting
+// POST /api/visca/image/:setting { value } - e.g. /image/contrast { value: 9 }, /image/flicker { value: '60hz' }
+router.post('/image/:setting', async (req, res) => {
+  const { setting } = req.params;
+  if (!Object.hasOwn(visca.IMAGE_SETTINGS, setting)) {
+    return sendResult(res, { success: false, code: 'INVALID_ARGUMENT', error: `Unknown image setting: ${setting}` });
+  }
+  const result = await camera.setImageSetting(setting, req.body.value);
+  sendResult(res, result);
+});
+
+// Set focus position (manual focus)
+// POST /api/visca/focus/position { value } - see /values for the range
+router.post('/focus/position', async (req, res) => {
+  const result = await visca.setFocusPosition(req.body.value);
+  sendResult(res, result);
+});
+
+// Set autofocus near limit (AF won't focus closer)
+// POST /api/visca/focus/near-limit { value }
+router.post('/focus/near-limit', async (req, res) => {
+  const result = await visca.setFocusNearLimit(req.body.value);
+  sendResult(res, result);
+});
+
+// Set autofocus sensitivity
+// POST /api/visca/focus/sensitivity { sensitivity: 'normal'|'low' }
+router.post('/focus/sensitivity', async (req, res) => {
+  const result = await visca.setAfSensitivity(req.body.sensitivity);
+  sendResult(res, result);
+});
+
+// Lock or unlock focus
+// POST /api/visca/focus/lock { locked }
+router.post('/focus/lock', async (req, res) => {
+  const result = await visca.setFocusLock(req.body.locked);
+  sendResult(res, result);
+});
+
+// Is the camera's on-screen menu open
+// GET /api/visca/menu
+router.get('/menu', async (req, res) => {
+  const result = await visca.inquire('menu');
+  if (!result.success) return sendResult(res, result);
+  res.json({ success: true, data: { open: result.data } });
+});
+
+// On-screen menu remote
+// POST /api/visca/menu { action: 'open'|'close'|'enter'|'up'|'down'|'left'|'right' }
+router.post('/menu', async (req, res) => {
+  const { action } = req.body;
+  const result = await visca.menuControl(action);
+  sendResult(res, result);
 });
 
 module.exports = router;
@@ -0,0 +1,145 @@
+const config = require('../../config.json');
+
+// Highest VISCA zoom position (full optical telephoto)
+const ZOOM_MAX = 0x4000;
+// Highest zoom position with digital zoom on
+const DIGITAL_ZOOM_MAX = 0x7AC0;
+
+// Every PTZOptics model takes the same VISCA speed ranges and has the same
+// optional controls, so these are shared - a MODELS entry can override them.
+
+// Top VISCA speeds (pan 0x18, tilt 0x14, zoom/focus drive 7)
+const STANDARD_SPEEDS = { pan: 24, tilt: 20, zoom: 7, focus: 7 };
+
+// Optional controls the UI can show (the basics - pan/tilt, zoom, focus,
+// exposure, white balance, presets - are on every model)
+const STANDARD_FEATURES = ['digitalZoom', 'focusLock', 'image', 'tally', 'menu', 'flip', 'mirror', 'freeze'];
+
+// Lens data of PTZOptics cameras, keyed by optical zoom
+// wideFov is the horizontal field of view at full wide, in degrees
+const MODELS = {
+  '12x': { name: 'PTZOptics 12X', opticalZoom: 12, wideFov: 72.5 },
+  '20x': { name: 'PTZOptics 20X', opticalZoom: 20, wideFov: 60.7 },
+  '30x': { name: 'PTZOptics 30X', opticalZoom: 30, wideFov: 63.7 }
+};
+
+const DEFAULT_MODEL = '20x';
+
+// Model reported by the camera (see detectModel), used when config.camera.model is 'auto' or unset
+let detectedModel = null;
+
+// Absolute position units per degree (pan ±170° = ±2448, tilt -30°/+90° = -432/1296)
+const PAN_UNITS_PER_DEGREE = 2448 / 170;
+const TILT_UNITS_PER_DEGREE = 1296 / 90;
+
+// Output frame shape (1080p/720p)
+const FRAME_ASPECT = 16 / 9;
+
+/**
+ * Key of the model in use: config.camera.model if it names one,
+ * otherwise the detected model, otherwise DEFAULT_MODEL
+ */
+function getModelKey() {
+  if (MODELS[config.camera.model]) return config.camera.model;
+  return detectedModel || DEFAULT_MODEL;
+}
+
+/**
+ * Get the capabilities of the camera in use: its lens data plus the
+ * shared speeds and features
+ */
+function getModel() {
+  return { speeds: STANDARD_SPEEDS, features: STANDARD_FEATURES, ...MODELS[getModelKey()] };
+}
+
+/**
+ * Match a camera's device_model string (e.g. "PT20X-SDI-GY-G2") to a model
+ * @returns {string|null} Key of MODELS, or null if the zoom isn't one we know
+ */
+function detectModel(deviceModel) {
+  const match = /PT(\d+)X/i.exec(deviceModel || '');
+  const key = match ? `${parseInt(match[1], 10)}x` : null;
+  return MODELS[key] ? key : null;
+}
+
+/**
+ * Remember the model the camera reported
+ * @param {string|null} key - Key of MODELS
+ */
+function setDetectedModel(key) {
+  detectedModel = MODELS[key] ? key : null;
+}
+
+/**
+ * Approximate optical magnification at a zoom position
+ * The zoom motor is close to logarithmic: each step multiplies magnification
+ * by the same amount, from 1x at wide to opticalZoom at tele.
+ * @param {number} zoom - VISCA zoom position (0 to ZOOM_MAX)
+ */
+function magnification(zoom, model = getModel()) {
+  const fraction = Math.max(0, Math.min(1, zoom / ZOOM_MAX));
+  return Math.pow(model.opticalZoom, fraction);
+}
+
+/**
+ * Zoom position for a magnification (inverse of magnification())
+ * @param {number} mag - 1 to the model's optical zoom (clamped)
+ */
+function zoomForMagnification(mag, model = getModel()) {
+  const clamped = Math.max(1, Math.min(model.opticalZoom, mag));
+  return Math.round(ZOOM_MAX * Math.log(clamped) / Math.log(model.opticalZoom));
+}
+
+/**
+ * Horizontal field of view at a zoom position, in degrees
+ * @param {number} zoom - VISCA zoom position (0 to ZOOM_MAX)
+ */
+function horizontalFov(zoom, model = getModel()) {
+  const halfWide = (model.wideFov / 2) * Math.PI / 180;
+  const half = Math.atan(Math.tan(halfWide) / magnification(zoom, model));
+  return 2 * half * 180 / Math.PI;
+}
+
+/**
+ * Vertical field of view at a zoom position, in degrees
+ * @param {number} zoom - VISCA zoom position (0 to ZOOM_MAX)
+ */
+function verticalFov(zoom, model = getModel()) {
+  const halfHorizontal = (horizontalFov(zoom, model) / 2) * Math.PI / 180;
+  return 2 * Math.atan(Math.tan(halfHorizontal) / FRAME_ASPECT) * 180 / Math.PI;
+}
+
+/**
+ * Angle from the frame center to a point in the frame, in degrees
+ * @param {number} x - 0 (left edge) to 1 (right edge)
+ * @param {number} y - 0 (top edge) to 1 (bottom edge)
+ * @param {number} zoom - VISCA zoom position
+ * @returns {{pan: number, tilt: number}} Right and up positive
+ */
+function frameOffsetToAngles(x, y, zoom, model = getModel()) {
+  const halfH = (horizontalFov(zoom, model) / 2) * Math.PI / 180;
+  const halfV = (verticalFov(zoom, model) / 2) * Math.PI / 180;
+  // Rectilinear lens: offset from center is proportional to tan(angle)
+  return {
+    pan: Math.atan((x - 0.5) * 2 * Math.tan(halfH)) * 180 / Math.PI,
+    tilt: Math.atan((0.5 - y) * 2 * Math.tan(halfV)) * 180 / Math.PI
+  };
+}
+
+module.exports = {
+  MODELS,
+  ZOOM_MAX,
+  DIGITAL_ZOOM_MAX,
+  PAN_UNITS_PER_DEGREE,
+  TILT_UNITS_PER_DEGREE,
+  FRAME_ASPECT,
+  getModelKey,
+  getModel,
+  detectModel,
+  setDetectedModel,
+  magnification,
+  zoomForMagnification,
+  horizontalFov,
+  verticalFov,
+  frameOffsetToAngles
+};
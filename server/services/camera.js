@@ -1,8 +1,23 @@
 const axios = require('axios');
 const config = require('../../config.json');
+const visca = require('./visca-client');
+const cameraModels = require('./camera-models');
 
 const CAMERA_BASE_URL = `http://${config.camera.ip}`;
 
+// Absolute position limits (PTZOptics: pan ±170°, tilt -30°/+90°)
+// Zoom goes to full optical, or into the digital range with digital zoom on - see zoomMaxFor()
+const PAN_RANGE = { min: -2448, max: 2448 };
+const TILT_RANGE = { min: -432, max: 1296 };
+
+// Absolute moves report completion only once the camera arrives
+const POSITION_MOVE_TIMEOUT = 30000;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, Math.round(value)));
+
+// Top drive speeds for the camera in use (see camera-models.js)
+const speedLimits = () => cameraModels.getModel().speeds;
+
 /**
  * Send a PTZ command to the camera via HTTP-CGI
  * @param {string} command - The command string (e.g., "up&12&12")
@@ -18,130 +33,469 @@ async function sendPTZCommand(command) {
   }
 }
 
-// Track if we're simulating diagonal movement
-let diagonalSimulation = null;
+/**
+ * Send a parameter command to the camera via HTTP-CGI (param.cgi)
+ * @param {string} query - The query string (e.g., "post_image_value&bright&7")
+ */
+async function sendParamCommand(query) {
+  const url = `${CAMERA_BASE_URL}/cgi-bin/param.cgi?${query}`;
+  try {
+    const response = await axios.get(url, { timeout: 5000 });
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error(`Param command failed: ${query}`, error.message);
+    return { success: false, error: error.message };
+  }
+}
 
 /**
- * Move camera in a direction
- * @param {string} direction - up, down, left, right, upleft, upright, downleft, downright
- * @param {number} panSpeed - 1-24
- * @param {number} tiltSpeed - 1-20
- * @param {boolean} simulate - If true, simulate diagonals with alternating movements
- */
-async function move(direction, panSpeed = 12, tiltSpeed = 12, simulate = false) {
-  // Clamp speeds to valid ranges
-  panSpeed = Math.max(1, Math.min(24, Math.round(panSpeed)));
-  tiltSpeed = Math.max(1, Math.min(20, Math.round(tiltSpeed)));
-
-  // Check if this is a diagonal direction
-  const isDiagonal = ['upleft', 'upright', 'downleft', 'downright'].includes(direction);
-
-  if (isDiagonal && simulate) {
-    // Simulate diagonal with alternating pan/tilt
-    return startDiagonalSimulation(direction, panSpeed, tiltSpeed);
-  }
-
-  // Stop any diagonal simulation
-  stopDiagonalSimulation();
-
-  // Map direction names to PTZ Optics expected format
-  const directionMap = {
-    'up': 'up',
-    'down': 'down',
-    'left': 'left',
-    'right': 'right',
-    'upleft': 'leftup',
-    'upright': 'rightup',
-    'downleft': 'leftdown',
-    'downright': 'rightdown'
-  };
+ * Grab a JPEG still from the camera's snapshot CGI
+ * @returns {Promise<{success: boolean, data?: Buffer, error?: string}>}
+ */
+async function getSnapshot() {
+  try {
+    const response = await axios.get(`${CAMERA_BASE_URL}/snapshot.jpg`, {
+      responseType: 'arraybuffer',
+      timeout: 5000
+    });
+    return { success: true, data: Buffer.from(response.data) };
+  } catch (error) {
+    console.error('Snapshot failed:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// VISCA errors that mean the camera isn't answering VISCA at all
+const VISCA_UNAVAILABLE = ['UNREACHABLE', 'DISCONNECTED', 'TIMEOUT'];
+// How long to use HTTP-CGI before trying VISCA again
+const VISCA_RETRY_INTERVAL = 30000;
+let viscaDownUntil = 0;
+
+/**
+ * Send a command via VISCA, falling back to HTTP-CGI when VISCA is unavailable
+ * @param {Buffer} viscaCommand - The VISCA command buffer
+ * @param {string} cgiCommand - Equivalent HTTP-CGI command string
+ * @param {Function} sendCgi - How to send the CGI command (ptzctrl.cgi by default)
+ */
+async function sendWithFallback(viscaCommand, cgiCommand, sendCgi = sendPTZCommand) {
+  if (Date.now() >= viscaDownUntil) {
+    const result = await visca.sendVISCACommand(viscaCommand);
+    if (result.success || !VISCA_UNAVAILABLE.includes(result.code)) {
+      return result;
+    }
+    console.warn(`[PTZ] VISCA unavailable (${result.error}), using HTTP-CGI`);
+    viscaDownUntil = Date.now() + VISCA_RETRY_INTERVAL;
+  }
+  return sendCgi(cgiCommand);
+}
 
-  const ptzDirection = directionMap[direction] || direction;
-  return sendPTZCommand(`${ptzDirection}&${panSpeed}&${tiltSpeed}`);
+// HTTP-CGI direction names
+const CGI_DIRECTIONS = {
+  'up': 'up',
+  'down': 'down',
+  'left': 'left',
+  'right': 'right',
+  'upleft': 'leftup',
+  'upright': 'rightup',
+  'downleft': 'leftdown',
+  'downright': 'rightdown'
+};
+
+// Velocity control lease - the camera stops if the client stops renewing it
+const VELOCITY_LEASE_MS = config.ptz?.velocityLeaseMs || 500;
+let velocityLeaseTimer = null;
+
+// Motion smoothing - ramp speeds up and down instead of jumping to them
+const RAMP_STEP_MS = 50;
+const MAX_RAMP_MS = 5000;
+const smoothing = {
+  enabled: config.ptz?.smoothing?.enabled ?? false,
+  // Time to go from stopped to full speed (and back)
+  rampMs: config.ptz?.smoothing?.rampMs ?? 400,
+  zoomRampMs: config.ptz?.smoothing?.zoomRampMs ?? 300
+};
+
+function stepToward(current, target, maxStep) {
+  if (Math.abs(target - current) <= maxStep) return target;
+  return current + Math.sign(target - current) * maxStep;
 }
 
 /**
- * Start simulating diagonal movement by alternating pan and tilt
+ * Track the signed speeds of one motion and move them to a new target
+ *
+ * rampTo() steps the speeds toward the target every RAMP_STEP_MS, taking
+ * getRampMs() to go from stopped to full speed, and resolves with the
+ * first step's result while the rest runs in the background. jumpTo()
+ * cancels any ramp and sends the target at once. send() is only called
+ * when the rounded camera speeds change, and a reversal slows down
+ * before heading the other way.
+ * @param {string[]} axes - Axis names (keys of the speed objects)
+ * @param {Function} getMaxSpeeds - Current { axis: top camera speed }
+ * @param {Function} getRampMs - Current ramp time in ms
+ * @param {Function} send - async ({ axis: signed speed }) => result
  */
-function startDiagonalSimulation(direction, panSpeed, tiltSpeed) {
-  stopDiagonalSimulation();
+function createRamp(axes, getMaxSpeeds, getRampMs, send) {
+  const withDefaults = (speeds = {}) => Object.fromEntries(axes.map(axis => [axis, speeds[axis] || 0]));
+  let current = withDefaults();
+  let target = withDefaults();
+  let sent = withDefaults();
+  let timer = null;
+  let ramping = false;
+  // Bumped by jumpTo() so a step still waiting on the camera knows it was cancelled
+  let generation = 0;
+
+  // Round to camera speeds, keeping any movement at least speed 1
+  const toDrive = (speeds) => Object.fromEntries(axes.map(axis => {
+    const value = speeds[axis];
+    if (value === 0) return [axis, 0];
+    return [axis, Math.sign(value) * Math.max(1, Math.round(Math.abs(value)))];
+  }));
+  const sameAsSent = (drive) => axes.every(axis => drive[axis] === sent[axis]);
+
+  async function tick(gen) {
+    timer = null;
+    if (gen !== generation) return { success: true };
+    const rampMs = getRampMs();
+    const maxSpeeds = getMaxSpeeds();
+    const previous = { ...current };
+    for (const axis of axes) {
+      const maxStep = rampMs > 0 ? maxSpeeds[axis] * RAMP_STEP_MS / rampMs : Infinity;
+      current[axis] = stepToward(current[axis], target[axis], maxStep);
+    }
 
-  const vertical = direction.includes('up') ? 'up' : 'down';
-  const horizontal = direction.includes('left') ? 'left' : 'right';
+    let result = { success: true };
+    const drive = toDrive(current);
+    if (!sameAsSent(drive)) {
+      result = await send(drive);
+      if (gen !== generation) return result;
+      if (!result.success) {
+        console.warn(`[PTZ] Ramp step failed (${result.error}), stopping ramp`);
+        current = previous;
+        ramping = false;
+        return result;
+      }
+      sent = drive;
+    }
 
-  let toggle = false;
+    const arrived = axes.every(axis => current[axis] === target[axis]);
+    if (arrived) {
+      ramping = false;
+    } else {
+      timer = setTimeout(() => tick(gen), RAMP_STEP_MS);
+    }
+    return result;
+  }
 
-  diagonalSimulation = setInterval(() => {
-    const dir = toggle ? vertical : horizontal;
-    const speed = toggle ? tiltSpeed : panSpeed;
-    sendPTZCommand(`${dir}&${speed}&${speed}`);
-    toggle = !toggle;
-  }, 50); // Alternate every 50ms
+  return {
+    isMoving: () => axes.some(axis => sent[axis] !== 0),
 
-  // Start immediately with first direction
-  sendPTZCommand(`${vertical}&${tiltSpeed}&${tiltSpeed}`);
+    rampTo(speeds) {
+      target = withDefaults(speeds);
+      // Already stepping - the running ramp picks up the new target
+      if (ramping) return Promise.resolve({ success: true, ramping: true });
+      ramping = true;
+      return tick(generation);
+    },
 
-  return { success: true, simulated: true };
+    async jumpTo(speeds, { skipRepeat = false } = {}) {
+      clearTimeout(timer);
+      timer = null;
+      ramping = false;
+      generation++;
+      const drive = toDrive(withDefaults(speeds));
+      if (skipRepeat && sameAsSent(drive)) {
+        return { success: true, unchanged: true };
+      }
+      const result = await send(drive);
+      if (result.success) {
+        sent = drive;
+        current = { ...drive };
+        target = { ...drive };
+      }
+      return result;
+    }
+  };
 }
 
 /**
- * Stop diagonal simulation
+ * Send a signed pan/tilt speed pair as one Pan-tiltDrive (0, 0 = stop)
+ * Uses a single VISCA Pan-tiltDrive, so diagonals run pan and tilt together.
+ * @param {number} pan - Negative left, positive right (up to the model's pan speed)
+ * @param {number} tilt - Negative down, positive up (up to the model's tilt speed)
  */
-function stopDiagonalSimulation() {
-  if (diagonalSimulation) {
-    clearInterval(diagonalSimulation);
-    diagonalSimulation = null;
+async function drivePanTilt(pan, tilt) {
+  if (pan === 0 && tilt === 0) {
+    return sendWithFallback(visca.VISCA_COMMANDS.PAN_TILT_STOP, 'ptzstop');
   }
+  const vertical = tilt === 0 ? '' : (tilt > 0 ? 'up' : 'down');
+  const horizontal = pan === 0 ? '' : (pan < 0 ? 'left' : 'right');
+  const direction = vertical + horizontal;
+  const panSpeed = Math.max(1, Math.abs(pan));
+  const tiltSpeed = Math.max(1, Math.abs(tilt));
+
+  return sendWithFallback(
+    visca.panTiltDriveCommand(direction, panSpeed, tiltSpeed),
+    `${CGI_DIRECTIONS[direction]}&${panSpeed}&${tiltSpeed}`
+  );
+}
+
+/**
+ * Send a signed zoom speed (0 = stop)
+ * @param {number} speed - Negative wide, positive tele (up to the model's zoom speed)
+ */
+async function driveZoom(speed) {
+  if (speed === 0) {
+    return sendWithFallback(visca.VISCA_COMMANDS.ZOOM_STOP, 'zoomstop');
+  }
+  const direction = speed > 0 ? 'in' : 'out';
+  const magnitude = Math.abs(speed);
+  return sendWithFallback(visca.zoomDriveCommand(direction, magnitude), `zoom${direction}&${magnitude}`);
+}
+
+const panTiltRamp = createRamp(['pan', 'tilt'], speedLimits, () => smoothing.rampMs, ({ pan, tilt }) => drivePanTilt(pan, tilt));
+const zoomRamp = createRamp(['zoom'], speedLimits, () => smoothing.zoomRampMs, ({ zoom }) => driveZoom(zoom));
+
+/**
+ * Move pan/tilt to the given signed speeds, ramping when smoothing is on
+ */
+function setPanTiltSpeed(pan, tilt, options) {
+  if (smoothing.enabled) return panTiltRamp.rampTo({ pan, tilt });
+  return panTiltRamp.jumpTo({ pan, tilt }, options);
+}
+
+/**
+ * Move camera in a direction
+ * @param {string} direction - up, down, left, right, upleft, upright, downleft, downright
+ * @param {number} panSpeed - 1 to the model's pan speed (24 on current models)
+ * @param {number} tiltSpeed - 1 to the model's tilt speed (20 on current models)
+ */
+async function move(direction, panSpeed = 12, tiltSpeed = 12) {
+  // Clamp speeds to the camera's range
+  const limits = speedLimits();
+  panSpeed = clamp(panSpeed, 1, limits.pan);
+  tiltSpeed = clamp(tiltSpeed, 1, limits.tilt);
+
+  const pan = direction.includes('left') ? -panSpeed : (direction.includes('right') ? panSpeed : 0);
+  const tilt = direction.includes('down') ? -tiltSpeed : (direction.includes('up') ? tiltSpeed : 0);
+  return setPanTiltSpeed(pan, tilt);
 }
 
 /**
  * Stop all PTZ movement
+ * With smoothing on, a moving camera decelerates over the ramp time.
  */
 async function stop() {
-  stopDiagonalSimulation();
-  return sendPTZCommand('ptzstop');
+  releaseVelocityLease();
+  if (smoothing.enabled && panTiltRamp.isMoving()) {
+    return panTiltRamp.rampTo({ pan: 0, tilt: 0 });
+  }
+  return panTiltRamp.jumpTo({ pan: 0, tilt: 0 });
+}
+
+// Zoom-aware speed - scale velocity by field of view so the picture moves at a steady rate
+let zoomScalingEnabled = config.ptz?.zoomScaling ?? true;
+// How old the cached zoom position may get before it's read again
+const ZOOM_CACHE_MS = 1000;
+const zoomCache = { position: null, time: 0, refreshing: false };
+// Slowest the zoom scaling makes the joystick - at full tele the FOV ratio
+// is about 1/opticalZoom, which would leave only speed 1
+const MIN_ZOOM_SPEED_SCALE = 0.25;
+
+/**
+ * Get the last known zoom position, refreshing it in the background when stale
+ * Never waits on the camera, so it returns null until the first read lands.
+ */
+function getCachedZoom() {
+  if (Date.now() - zoomCache.time > ZOOM_CACHE_MS && !zoomCache.refreshing) {
+    zoomCache.refreshing = true;
+    visca.inquire('zoomPosition').then((result) => {
+      if (result.success) {
+        zoomCache.position = result.data;
+        zoomCache.time = Date.now();
+      }
+    }).finally(() => {
+      zoomCache.refreshing = false;
+    });
+  }
+  return zoomCache.position;
+}
+
+/**
+ * Read the zoom position now, so the first joystick move is already scaled
+ * Runs at startup and whenever the VISCA connection comes back.
+ */
+function primeZoomCache() {
+  zoomCache.time = 0;
+  getCachedZoom();
+}
+
+visca.getConnection().on('connected', primeZoomCache);
+
+/**
+ * Speed factor for the current zoom - 1 at full wide, smaller as the view narrows
+ */
+function zoomSpeedScale() {
+  if (!zoomScalingEnabled) return 1;
+  const zoom = getCachedZoom();
+  if (zoom === null) return 1;
+  const scale = cameraModels.horizontalFov(zoom) / cameraModels.horizontalFov(0);
+  return Math.max(MIN_ZOOM_SPEED_SCALE, scale);
+}
+
+/**
+ * Drive pan/tilt from a velocity vector under a deadman lease
+ * Each call renews the lease; if none arrives within VELOCITY_LEASE_MS
+ * the camera is stopped. A zero vector (or stop()) releases the lease.
+ * With zoom scaling on, speeds are scaled by the field of view.
+ * @param {number} pan - -1 (full left) to 1 (full right)
+ * @param {number} tilt - -1 (full down) to 1 (full up)
+ */
+async function setVelocity(pan, tilt) {
+  const scale = zoomSpeedScale();
+  const limits = speedLimits();
+  const panSpeed = Math.sign(pan) * velocityToSpeed(pan, limits.pan, scale);
+  const tiltSpeed = Math.sign(tilt) * velocityToSpeed(tilt, limits.tilt, scale);
+
+  if (panSpeed === 0 && tiltSpeed === 0) {
+    return stop();
+  }
+
+  renewVelocityLease();
+  // Keepalives repeat the same vector - only renew the lease
+  return setPanTiltSpeed(panSpeed, tiltSpeed, { skipRepeat: true });
+}
+
+// Velocity components below this are treated as zero (keeps near-axis moves straight)
+const VELOCITY_EPSILON = 0.01;
+
+/**
+ * Map a velocity component to a camera speed (0 = not moving on that axis)
+ * The deflection is spread over 1 to the scaled top speed, so the stick
+ * stays proportional however far the zoom scaling brings the top down.
+ * @param {number} value - -1 to 1
+ * @param {number} maxSpeed - Top camera speed for the axis
+ * @param {number} scale - Zoom speed factor (0-1)
+ */
+function velocityToSpeed(value, maxSpeed, scale = 1) {
+  const magnitude = Math.min(1, Math.abs(value));
+  if (magnitude < VELOCITY_EPSILON) return 0;
+  const top = Math.max(1, Math.round(maxSpeed * scale));
+  return 1 + Math.round(magnitude * (top - 1));
+}
+
+function renewVelocityLease() {
+  clearTimeout(velocityLeaseTimer);
+  velocityLeaseTimer = setTimeout(() => {
+    velocityLeaseTimer = null;
+    console.warn('[PTZ] Velocity lease expired, stopping camera');
+    stop();
+  }, VELOCITY_LEASE_MS);
+}
+
+function releaseVelocityLease() {
+  clearTimeout(velocityLeaseTimer);
+  velocityLeaseTimer = null;
+}
+
+/**
+ * Get the motion smoothing settings
+ */
+function getSmoothing() {
+  return { success: true, data: { ...smoothing } };
+}
+
+/**
+ * Update the motion smoothing settings (until restart; defaults come from config.ptz.smoothing)
+ * @param {object} settings - { enabled, rampMs, zoomRampMs } - any subset
+ */
+function setSmoothing({ enabled, rampMs, zoomRampMs }) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'enabled must be true or false' };
+  }
+  for (const [name, value] of Object.entries({ rampMs, zoomRampMs })) {
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0 && value <= MAX_RAMP_MS)) {
+      return { success: false, code: 'INVALID_ARGUMENT', error: `${name} must be 0-${MAX_RAMP_MS}` };
+    }
+  }
+
+  if (enabled !== undefined) smoothing.enabled = enabled;
+  if (rampMs !== undefined) smoothing.rampMs = Math.round(rampMs);
+  if (zoomRampMs !== undefined) smoothing.zoomRampMs = Math.round(zoomRampMs);
+  console.log(`[PTZ] Smoothing ${smoothing.enabled ? `on (${smoothing.rampMs}ms, zoom ${smoothing.zoomRampMs}ms)` : 'off'}`);
+  return getSmoothing();
+}
+
+/**
+ * Get the zoom-aware speed setting
+ */
+function getZoomScaling() {
+  return { success: true, data: { enabled: zoomScalingEnabled } };
+}
+
+/**
+ * Turn zoom-aware speed on or off (until restart; default from config.ptz.zoomScaling)
+ * @param {boolean} enabled
+ */
+function setZoomScaling(enabled) {
+  if (typeof enabled !== 'boolean') {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'enabled must be true or false' };
+  }
+  zoomScalingEnabled = enabled;
+  console.log(`[PTZ] Zoom-aware speed ${enabled ? 'on' : 'off'}`);
+  return getZoomScaling();
+}
+
+/**
+ * Zoom the lens at a signed speed, easing in/out when smoothing is on
+ */
+function setZoomSpeed(speed) {
+  // The zoom position is about to change - read it again on next use
+  zoomCache.time = 0;
+  if (smoothing.enabled) {
+    if (speed === 0 && !zoomRamp.isMoving()) return zoomRamp.jumpTo({ zoom: 0 });
+    return zoomRamp.rampTo({ zoom: speed });
+  }
+  return zoomRamp.jumpTo({ zoom: speed });
 }
 
 /**
  * Zoom in
- * @param {number} speed - 1-7
+ * @param {number} speed - 1 to the model's zoom speed
  */
 async function zoomIn(speed = 4) {
-  speed = Math.max(1, Math.min(7, Math.round(speed)));
-  return sendPTZCommand(`zoomin&${speed}`);
+  return setZoomSpeed(clamp(speed, 1, speedLimits().zoom));
 }
 
 /**
  * Zoom out
- * @param {number} speed - 1-7
+ * @param {number} speed - 1 to the model's zoom speed
  */
 async function zoomOut(speed = 4) {
-  speed = Math.max(1, Math.min(7, Math.round(speed)));
-  return sendPTZCommand(`zoomout&${speed}`);
+  return setZoomSpeed(-clamp(speed, 1, speedLimits().zoom));
 }
 
 /**
  * Stop zoom
  */
 async function zoomStop() {
-  return sendPTZCommand('zoomstop');
+  return setZoomSpeed(0);
 }
 
 /**
  * Focus in (near)
- * @param {number} speed - 1-7
+ * @param {number} speed - 1 to the model's focus speed
  */
 async function focusIn(speed = 4) {
-  speed = Math.max(1, Math.min(7, Math.round(speed)));
+  speed = clamp(speed, 1, speedLimits().focus);
   return sendPTZCommand(`focusin&${speed}`);
 }
 
 /**
  * Focus out (far)
- * @param {number} speed - 1-7
+ * @param {number} speed - 1 to the model's focus speed
  */
 async function focusOut(speed = 4) {
-  speed = Math.max(1, Math.min(7, Math.round(speed)));
+  speed = clamp(speed, 1, speedLimits().focus);
   return sendPTZCommand(`focusout&${speed}`);
 }
 
@@ -155,9 +509,17 @@ async function focusStop() {
 /**
  * Call a preset position
  * @param {number} preset - 1-254
+ * @param {number} [speed] - Recall speed, 1 to the model's pan speed (camera's current setting if omitted)
  */
-async function presetCall(preset) {
+async function presetCall(preset, speed) {
   preset = Math.max(1, Math.min(254, Math.round(preset)));
+  if (speed !== undefined) {
+    const command = visca.presetSpeedCommand(clamp(speed, 1, speedLimits().pan));
+    const result = await visca.sendVISCACommand(command);
+    if (!result.success) {
+      console.warn(`[PTZ] Preset speed not set (${result.error}), recalling at the camera's speed`);
+    }
+  }
   return sendPTZCommand(`poscall&${preset}`);
 }
 
@@ -170,6 +532,319 @@ async function presetSet(preset) {
   return sendPTZCommand(`posset&${preset}`);
 }
 
+/**
+ * Read the current pan, tilt and zoom positions via VISCA
+ * @returns {Promise<{success: boolean, data?: {pan: number, tilt: number, zoom: number}}>}
+ */
+async function getPosition() {
+  const result = await visca.inquireAll(['panTiltPosition', 'zoomPosition']);
+  if (!result.success) return result;
+
+  const { panTiltPosition, zoomPosition } = result.data;
+  return {
+    success: true,
+    data: {
+      pan: panTiltPosition ? panTiltPosition.pan : null,
+      tilt: panTiltPosition ? panTiltPosition.tilt : null,
+      zoom: zoomPosition
+    }
+  };
+}
+
+/**
+ * Move to an absolute position via VISCA
+ * Missing pan or tilt is filled in from the current position; zoom is optional
+ * and, as with setZoomPosition(), only goes past full optical with digital zoom on.
+ * Resolves once the camera reports it has arrived.
+ * @param {object} target - { pan, tilt, zoom, speed } - speed up to the model's pan speed (tilt capped at its tilt speed)
+ * @param {number} [target.panSpeed] - Separate pan speed (defaults to speed)
+ * @param {number} [target.tiltSpeed] - Separate tilt speed (defaults to speed)
+ * @param {number} [target.zoomSpeed] - Zoom drive speed (default: the camera's Zoom Direct speed)
+ */
+async function moveToPosition({ pan, tilt, zoom, speed = 12, panSpeed = speed, tiltSpeed = speed, zoomSpeed }) {
+  const hasPanTilt = pan !== undefined || tilt !== undefined;
+  const moves = [];
+
+  if (hasPanTilt) {
+    if (pan === undefined || tilt === undefined) {
+      const current = await getPosition();
+      if (!current.success) return current;
+      if (pan === undefined) pan = current.data.pan;
+      if (tilt === undefined) tilt = current.data.tilt;
+      // The zoom inquiry can answer without the pan/tilt one - don't guess center
+      if (pan === null || tilt === null) {
+        return { success: false, code: 'NOT_EXECUTABLE', error: 'Camera did not report its position' };
+      }
+    }
+
+    const limits = speedLimits();
+    const command = visca.panTiltAbsoluteCommand(
+      clamp(pan, PAN_RANGE.min, PAN_RANGE.max),
+      clamp(tilt, TILT_RANGE.min, TILT_RANGE.max),
+      clamp(panSpeed, 1, limits.pan),
+      clamp(tiltSpeed, 1, limits.tilt)
+    );
+    moves.push(visca.sendVISCACommand(command, { timeout: POSITION_MOVE_TIMEOUT }));
+  }
+
+  if (zoom !== undefined) {
+    zoomCache.time = 0;
+    const position = clamp(zoom, 0, await zoomMaxFor(zoom));
+    if (zoomSpeed === undefined) {
+      moves.push(visca.sendVISCACommand(visca.zoomDirectCommand(position), { timeout: POSITION_MOVE_TIMEOUT }));
+    } else {
+      moves.push(zoomAtSpeed(position, zoomSpeed));
+    }
+  }
+
+  const results = await Promise.all(moves);
+  return results.find(r => !r.success) || { success: true };
+}
+
+// How often waitForStop() checks the position
+const SETTLE_POLL_MS = 200;
+// Identical readings in a row that count as stopped
+const SETTLE_READINGS = 3;
+
+/**
+ * Resolve once pan, tilt and zoom stop changing
+ * For moves that don't report arrival, like a preset recall over CGI.
+ */
+async function waitForStop(timeout = POSITION_MOVE_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+  let last = null;
+  let same = 0;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, SETTLE_POLL_MS));
+    const current = await getPosition();
+    if (!current.success) return current;
+
+    const { pan, tilt, zoom } = current.data;
+    same = last && last.pan === pan && last.tilt === tilt && last.zoom === zoom ? same + 1 : 1;
+    if (same >= SETTLE_READINGS) return { success: true };
+    last = current.data;
+  }
+  return { success: false, code: 'TIMEOUT', error: 'Camera did not stop moving' };
+}
+
+// How often a speed-controlled zoom checks its position
+const ZOOM_POLL_MS = 100;
+// Hand over to Zoom Direct this close to the target
+const ZOOM_SETTLE_DISTANCE = 0x200;
+
+/**
+ * Zoom to a position at a drive speed
+ * Zoom Direct has no speed, so drive toward the target, watch the position
+ * and finish with a Zoom Direct once close.
+ * @param {number} position - Target zoom position
+ * @param {number} speed - 1 to the model's zoom speed
+ */
+async function zoomAtSpeed(position, speed) {
+  const start = await visca.inquire('zoomPosition');
+  if (!start.success) return start;
+  if (Math.abs(position - start.data) > ZOOM_SETTLE_DISTANCE) {
+    const direction = position > start.data ? 1 : -1;
+    const drive = await zoomRamp.jumpTo({ zoom: direction * clamp(speed, 1, speedLimits().zoom) });
+    if (!drive.success) return drive;
+
+    const deadline = Date.now() + POSITION_MOVE_TIMEOUT;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, ZOOM_POLL_MS));
+      // Zoom was stopped from elsewhere (joystick, stop button) - leave it there
+      if (!zoomRamp.isMoving()) return { success: true, interrupted: true };
+      const current = await visca.inquire('zoomPosition');
+      if (!current.success) break;
+      if ((position - current.data) * direction <= ZOOM_SETTLE_DISTANCE) break;
+    }
+    await zoomRamp.jumpTo({ zoom: 0 });
+  }
+  return visca.sendVISCACommand(visca.zoomDirectCommand(position), { timeout: POSITION_MOVE_TIMEOUT });
+}
+
+/**
+ * Read the zoom position and the range it can be set within
+ * @returns {Promise<{success: boolean, data?: {position: number, max: number, opticalMax: number, digital: boolean, magnification: number|null}}>}
+ */
+async function getZoom() {
+  const result = await visca.inquireAll(['zoomPosition', 'digitalZoom']);
+  if (!result.success) return result;
+
+  const { zoomPosition, digitalZoom } = result.data;
+  if (zoomPosition === null) {
+    return { success: false, code: 'NOT_EXECUTABLE', error: 'Camera did not report its zoom position' };
+  }
+  zoomCache.position = zoomPosition;
+  zoomCache.time = Date.now();
+
+  const digital = digitalZoom === true;
+  const optical = zoomPosition <= cameraModels.ZOOM_MAX;
+  return {
+    success: true,
+    data: {
+      position: zoomPosition,
+      max: digital ? cameraModels.DIGITAL_ZOOM_MAX : cameraModels.ZOOM_MAX,
+      opticalMax: cameraModels.ZOOM_MAX,
+      digital,
+      // Optical magnification only - null once into the digital range
+      magnification: optical ? Math.round(cameraModels.magnification(zoomPosition) * 10) / 10 : null
+    }
+  };
+}
+
+/**
+ * Highest zoom position usable for a target - the digital range only when
+ * digital zoom is on (only asks the camera for targets past full optical)
+ */
+async function zoomMaxFor(position) {
+  if (position <= cameraModels.ZOOM_MAX) return cameraModels.ZOOM_MAX;
+  const digital = await visca.inquire('digitalZoom');
+  return digital.success && digital.data ? cameraModels.DIGITAL_ZOOM_MAX : cameraModels.ZOOM_MAX;
+}
+
+/**
+ * Zoom straight to a position (CAM_Zoom Direct)
+ * Positions past full optical zoom are only used when digital zoom is on,
+ * otherwise they're clamped to full optical. Resolves once the lens arrives.
+ * @param {number} position - 0 to DIGITAL_ZOOM_MAX
+ */
+async function setZoomPosition(position) {
+  const max = await zoomMaxFor(position);
+  zoomCache.time = 0;
+  const command = visca.zoomDirectCommand(clamp(position, 0, max));
+  return visca.sendVISCACommand(command, { timeout: POSITION_MOVE_TIMEOUT });
+}
+
+/**
+ * Turn digital zoom on or off
+ * @param {boolean} enabled
+ */
+async function setDigitalZoom(enabled) {
+  zoomCache.time = 0;
+  return visca.setDigitalZoom(enabled);
+}
+
+/**
+ * Pan/tilt so a point in the video frame becomes the center, optionally zooming in
+ * Uses the current zoom and the lens field of view to turn the
+ * frame offset into an angle. The lens data only covers optical zoom, so
+ * this refuses while zoomed into the digital range, and zooming in stops
+ * at full optical.
+ * @param {number} x - 0 (left edge) to 1 (right edge)
+ * @param {number} y - 0 (top edge) to 1 (bottom edge)
+ * @param {number} zoomFactor - Magnify the current view this much (1 = keep zoom)
+ * @param {number} speed - 1 to the model's pan speed
+ */
+async function centerOn(x, y, zoomFactor, speed) {
+  const current = await getPosition();
+  if (!current.success) return current;
+  const { pan, tilt, zoom } = current.data;
+  if (pan === null || tilt === null || zoom === null) {
+    return { success: false, code: 'NOT_EXECUTABLE', error: 'Camera did not report its position' };
+  }
+  if (zoom > cameraModels.ZOOM_MAX) {
+    return { success: false, code: 'NOT_EXECUTABLE', error: 'Aim and frame only work within optical zoom - zoom out first' };
+  }
+
+  const offset = cameraModels.frameOffsetToAngles(x, y, zoom);
+  const target = {
+    pan: pan + offset.pan * cameraModels.PAN_UNITS_PER_DEGREE,
+    tilt: tilt + offset.tilt * cameraModels.TILT_UNITS_PER_DEGREE,
+    speed
+  };
+  if (zoomFactor !== 1) {
+    // zoomForMagnification tops out at full optical zoom
+    target.zoom = cameraModels.zoomForMagnification(cameraModels.magnification(zoom) * zoomFactor);
+  }
+  return moveToPosition(target);
+}
+
+/**
+ * Pan/tilt so a point in the video frame becomes the center
+ * @param {number} x - 0 (left edge) to 1 (right edge)
+ * @param {number} y - 0 (top edge) to 1 (bottom edge)
+ * @param {number} speed - 1 to the model's pan speed
+ */
+async function aimAt(x, y, speed = 12) {
+  return centerOn(x, y, 1, speed);
+}
+
+/**
+ * Center on a region of the video frame and zoom until it fills the frame
+ * The whole box stays in view, so the tighter of width and height sets the zoom;
+ * zoom stops at full optical, even with digital zoom on.
+ * @param {object} box - { x, y, width, height } - 0..1 from the top-left of the frame
+ * @param {number} speed - 1 to the model's pan speed
+ */
+async function frameBox({ x, y, width, height }, speed = 12) {
+  const zoomFactor = Math.min(1 / width, 1 / height);
+  return centerOn(x + width / 2, y + height / 2, zoomFactor, speed);
+}
+
+/**
+ * Set a picture setting (brightness, contrast, WDR, ...)
+ * Falls back to param.cgi for settings the HTTP API has.
+ * @param {string} name - Key of visca.IMAGE_SETTINGS
+ * @param {number|string} value - Number in range, or option name
+ */
+async function setImageSetting(name, value) {
+  if (!Object.hasOwn(visca.IMAGE_SETTINGS, name)) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: `Unknown image setting: ${name}` };
+  }
+  const { command, value: raw, error } = visca.imageSettingCommand(name, value);
+  if (error) return error;
+
+  const cgiName = visca.IMAGE_SETTINGS[name].cgi;
+  if (!cgiName) return visca.sendVISCACommand(command);
+  return sendWithFallback(command, `post_image_value&${cgiName}&${raw}`, sendParamCommand);
+}
+
+/**
+ * Parse param.cgi output (key="value" per line)
+ */
+function parseParams(text) {
+  const params = {};
+  for (const line of String(text).split(/\r?\n/)) {
+    const match = line.match(/^\s*([\w.]+)\s*=\s*"?([^"]*)"?\s*$/);
+    if (match) params[match[1]] = match[2];
+  }
+  return params;
+}
+
+/**
+ * Read the camera's identity and the capabilities of its model
+ * Also records the reported model so speed limits and lens data follow
+ * the real camera (unless config.camera.model names one).
+ */
+async function getCameraInfo() {
+  const [device, network] = await Promise.all([
+    sendParamCommand('get_device_conf'),
+    sendParamCommand('get_network_conf')
+  ]);
+  if (!device.success) return device;
+
+  const deviceConf = parseParams(device.data);
+  const networkConf = network.success ? parseParams(network.data) : {};
+  const detected = cameraModels.detectModel(deviceConf.device_model);
+  cameraModels.setDetectedModel(detected);
+
+  const modelKey = cameraModels.getModelKey();
+  return {
+    success: true,
+    data: {
+      name: deviceConf.devname || null,
+      model: deviceConf.device_model || null,
+      firmware: deviceConf.versioninfo || null,
+      serial: deviceConf.serial_num || null,
+      mac: networkConf.macaddress || networkConf.mac || null,
+      capabilities: {
+        key: modelKey,
+        detected: detected !== null && detected === modelKey,
+        ...cameraModels.getModel()
+      }
+    }
+  };
+}
+
 /**
  * Go to home position
  */
@@ -179,8 +854,16 @@ async function home() {
 
 module.exports = {
   sendPTZCommand,
+  getSnapshot,
   move,
   stop,
+  setVelocity,
+  getSmoothing,
+  setSmoothing,
+  getZoomScaling,
+  setZoomScaling,
+  primeZoomCache,
+  velocityToSpeed,
   zoomIn,
   zoomOut,
   zoomStop,
@@ -189,5 +872,17 @@ module.exports = {
   focusStop,
   presetCall,
   presetSet,
-  home
+  home,
+  getPosition,
+  moveToPosition,
+  waitForStop,
+  aimAt,
+  frameBox,
+  setImageSetting,
+  getZoom,
+  setZoomPosition,
+  setDigitalZoom,
+  getCameraInfo,
+  PAN_RANGE,
+  TILT_RANGE
 };
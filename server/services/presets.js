@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config.json');
+const camera = require('./camera');
+const visca = require('./visca-client');
+
+/**
+ * Preset store (presets.json) and preset recall
+ *
+ * presets.json holds { presets, layout } (files from before layouts are
+ * just the presets map). Records are keyed by camera preset number:
+ * { name, icon, speed?, speeds?: { pan, tilt, zoom }, position?: { pan, tilt, zoom }, thumbnail?,
+ *   image?: { exposure, whiteBalance, focus }, restore?: { exposure, whiteBalance, focus } }
+ * speed is the VISCA preset recall speed, config.ptz.presetSpeed when unset
+ * (the camera keeps the last speed it was sent, so every recall sends one).
+ * speeds, when set, recalls with a position move instead so pan, tilt and
+ * zoom each get their own speed - that needs the position captured when
+ * the preset was saved.
+ *
+ * Saving a position also grabs a still from the camera into
+ * preset-thumbnails/<number>.jpg; thumbnail holds the time it was taken
+ * so browsers can cache by it.
+ *
+ * It also records the exposure, white balance and focus state (image).
+ * restore picks which of those groups are re-applied once a recall has
+ * finished moving - off unless turned on for the preset.
+ *
+ * layout is how the buttons are arranged: { groups: [{ name, buttons }] },
+ * where buttons lists the camera preset number behind each button, in
+ * order. Any button can point at any preset 1-254. null until the layout
+ * is first edited - the browser shows its default grid until then.
+ */
+
+const PRESETS_PATH = path.join(__dirname, '../../presets.json');
+const THUMBNAILS_DIR = path.join(__dirname, '../../preset-thumbnails');
+
+// Half of full speed unless config.ptz.presetSpeed says otherwise, so an
+// unset speed doesn't snap the camera across the room
+const DEFAULT_RECALL_SPEED = config.ptz?.presetSpeed ?? 12;
+
+const MAX_GROUPS = 50;
+const MAX_GROUP_BUTTONS = 254;
+
+// Fields the server fills in on save - kept when the browser sends the store back without them
+const CAPTURED_FIELDS = ['position', 'thumbnail', 'image'];
+
+// Image state a preset can restore, by group (same shape as visca.getCameraState())
+// Each value is only applied in the modes that use it.
+const IMAGE_GROUPS = {
+  exposure: {
+    setMode: visca.setExposureMode,
+    values: {
+      iris: { set: visca.setIris, modes: ['manual', 'iris'] },
+      gain: { set: visca.setGain, modes: ['manual'] },
+      shutter: { set: visca.setShutter, modes: ['manual', 'shutter'] }
+    }
+  },
+  whiteBalance: {
+    setMode: visca.setWhiteBalanceMode,
+    values: {
+      redGain: { set: visca.setRedGain, modes: ['manual'] },
+      blueGain: { set: visca.setBlueGain, modes: ['manual'] }
+    }
+  },
+  focus: {
+    setMode: visca.setFocusMode,
+    values: {
+      position: { set: visca.setFocusPosition, modes: ['manual'] }
+    }
+  }
+};
+
+function readStore() {
+  try {
+    if (fs.existsSync(PRESETS_PATH)) {
+      const data = JSON.parse(fs.readFileSync(PRESETS_PATH, 'utf8'));
+      // Older files are only the records, keyed by number
+      if (!data.presets) return { presets: data, layout: null };
+      return { presets: data.presets, layout: data.layout || null };
+    }
+  } catch (error) {
+    console.error('[Presets] Error loading presets:', error.message);
+  }
+  return { presets: {}, layout: null };
+}
+
+function writeStore(store) {
+  try {
+    fs.writeFileSync(PRESETS_PATH, JSON.stringify(store, null, 2), 'utf8');
+    console.log('[Presets] Saved to file');
+    return true;
+  } catch (error) {
+    console.error('[Presets] Error saving presets:', error.message);
+    return false;
+  }
+}
+
+function loadPresets() {
+  return readStore().presets;
+}
+
+function writePresets(presets) {
+  return writeStore({ ...readStore(), presets });
+}
+
+// Carry captured fields over from the stored record
+function withCaptured(stored = {}, record) {
+  const merged = { ...record };
+  for (const field of CAPTURED_FIELDS) {
+    if (merged[field] === undefined && stored[field] !== undefined) {
+      merged[field] = stored[field];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Replace the whole store (from the browser)
+ */
+function savePresets(presets) {
+  const stored = loadPresets();
+  const merged = {};
+  for (const [id, record] of Object.entries(presets)) {
+    merged[id] = withCaptured(stored[id], record);
+  }
+  return writePresets(merged);
+}
+
+/**
+ * Replace one preset record (from the browser)
+ */
+function savePreset(id, record) {
+  const presets = loadPresets();
+  presets[id] = withCaptured(presets[id], record);
+  return writePresets(presets);
+}
+
+/**
+ * Check a layout from the client and normalize it
+ * @returns {{layout?: object, error?: string}}
+ */
+function validateLayout({ groups } = {}) {
+  if (!Array.isArray(groups) || groups.length === 0 || groups.length > MAX_GROUPS) {
+    return { error: `Layout needs 1-${MAX_GROUPS} groups` };
+  }
+
+  const normalized = [];
+  for (const group of groups) {
+    const { name, buttons } = group || {};
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Group needs a name' };
+    }
+    if (!Array.isArray(buttons) || buttons.length > MAX_GROUP_BUTTONS) {
+      return { error: `Group can have up to ${MAX_GROUP_BUTTONS} buttons` };
+    }
+    if (!buttons.every(number => Number.isInteger(number) && number >= 1 && number <= 254)) {
+      return { error: 'Buttons must point at presets 1-254' };
+    }
+    normalized.push({ name: name.trim(), buttons });
+  }
+  return { layout: { groups: normalized } };
+}
+
+/**
+ * Get the button layout (null if it was never saved)
+ */
+function getLayout() {
+  return { success: true, data: readStore().layout };
+}
+
+/**
+ * Replace the button layout
+ * @param {object} body - { groups: [{ name, buttons }] }
+ */
+function saveLayout(body) {
+  const { layout, error } = validateLayout(body);
+  if (error) return { success: false, code: 'INVALID_ARGUMENT', error };
+
+  if (!writeStore({ ...readStore(), layout })) {
+    return { success: false, error: 'Failed to save layout' };
+  }
+  return { success: true, data: layout };
+}
+
+function thumbnailPath(number) {
+  return path.join(THUMBNAILS_DIR, `${number}.jpg`);
+}
+
+/**
+ * Grab a still for a preset's button
+ * @returns {Promise<number|null>} Time taken, or null if the camera didn't give one
+ */
+async function captureThumbnail(number) {
+  const snapshot = await camera.getSnapshot();
+  if (!snapshot.success) return null;
+  try {
+    fs.mkdirSync(THUMBNAILS_DIR, { recursive: true });
+    fs.writeFileSync(thumbnailPath(number), snapshot.data);
+    return Date.now();
+  } catch (error) {
+    console.error('[Presets] Error saving thumbnail:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Path of a preset's thumbnail, or null if it has none
+ */
+function getThumbnailPath(number) {
+  const file = thumbnailPath(number);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Read the image state a preset can restore
+ * @returns {Promise<object|null>} { exposure, whiteBalance, focus }, or null without VISCA
+ */
+async function captureImageState() {
+  const state = await visca.getCameraState();
+  if (!state.success) return null;
+
+  const image = {};
+  for (const [group, { values }] of Object.entries(IMAGE_GROUPS)) {
+    const current = state.data[group];
+    image[group] = { mode: current.mode };
+    for (const name of Object.keys(values)) {
+      image[group][name] = current[name];
+    }
+  }
+  return image;
+}
+
+/**
+ * Re-apply the image state groups a preset restores
+ * Keeps going past a failed setting so one rejected value doesn't lose the rest.
+ */
+async function applyImageState(number, image, restore) {
+  for (const [group, { setMode, values }] of Object.entries(IMAGE_GROUPS)) {
+    const saved = image[group];
+    if (!restore[group] || !saved || !saved.mode) continue;
+
+    const steps = [['mode', () => setMode(saved.mode)]];
+    for (const [name, { set, modes }] of Object.entries(values)) {
+      if (modes.includes(saved.mode) && saved[name] !== null && saved[name] !== undefined) {
+        steps.push([name, () => set(saved[name])]);
+      }
+    }
+    for (const [name, apply] of steps) {
+      const result = await apply();
+      if (!result.success) {
+        console.warn(`[Presets] Preset ${number}: couldn't restore ${group} ${name} (${result.error})`);
+      }
+    }
+  }
+}
+
+/**
+ * Save the camera's current position to a preset slot and record it in the store
+ * @param {number} number - 1-254
+ */
+async function storePreset(number) {
+  const result = await camera.presetSet(number);
+  if (!result.success) return result;
+
+  // Position (for per-axis speeds), thumbnail and image state are extras - the preset is saved without them
+  const [position, thumbnail, image] = await Promise.all([
+    camera.getPosition(),
+    captureThumbnail(number),
+    captureImageState()
+  ]);
+  const presets = loadPresets();
+  const record = { ...presets[number] };
+  if (position.success) record.position = position.data;
+  if (thumbnail) record.thumbnail = thumbnail;
+  if (image) record.image = image;
+  presets[number] = record;
+  writePresets(presets);
+  return result;
+}
+
+/**
+ * Recall a preset with its stored motion settings
+ * @param {number} number - 1-254
+ * @param {number} [speed] - Recall speed overriding the stored one (e.g. from a tour step)
+ */
+async function recallPreset(number, speed) {
+  const record = loadPresets()[number] || {};
+  const { speeds, position, image, restore } = record;
+  const restoring = image && restore && Object.keys(IMAGE_GROUPS).some(group => restore[group]);
+
+  let result = null;
+  if (speed === undefined && speeds && position) {
+    // Resolves on arrival
+    result = await camera.moveToPosition({
+      pan: position.pan,
+      tilt: position.tilt,
+      zoom: position.zoom ?? undefined,
+      panSpeed: speeds.pan,
+      tiltSpeed: speeds.tilt,
+      zoomSpeed: speeds.zoom
+    });
+    if (!result.success) {
+      console.warn(`[Presets] Position recall of ${number} failed (${result.error}), using the camera preset`);
+    }
+  }
+  if (!result || !result.success) {
+    result = await camera.presetCall(number, speed ?? record.speed ?? DEFAULT_RECALL_SPEED);
+    // The CGI recall returns before the move - focus in particular has to wait for the zoom
+    if (result.success && restoring) await camera.waitForStop();
+  }
+
+  if (result.success && restoring) {
+    await applyImageState(number, image, restore);
+  }
+  return result;
+}
+
+module.exports = {
+  loadPresets,
+  savePresets,
+  savePreset,
+  getLayout,
+  saveLayout,
+  storePreset,
+  recallPreset,
+  getThumbnailPath
+};
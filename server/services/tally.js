@@ -0,0 +1,113 @@
+const config = require('../../config.json');
+const visca = require('./visca-client');
+const vidiu = require('./vidiu');
+
+/**
+ * Camera tally lamp
+ *
+ * The lamp is either set by hand, by a video switcher over TSL (see tsl.js)
+ * or, in auto mode, follows the Vidiu stream state: red while Live, green
+ * while Previewing, off otherwise. Setting a color by hand turns auto mode
+ * off so the two don't fight.
+ */
+
+const TALLY_COLORS = ['red', 'green', 'off'];
+
+const tally = {
+  color: 'off',
+  auto: config.tally?.auto ?? false,
+  // Who set the current color: manual, stream (Vidiu) or switcher (TSL)
+  source: 'manual',
+  // Last color the switcher sent, whether or not the lamp took it (null without TSL)
+  switcher: null
+};
+
+// Last Vidiu stream state seen, so turning auto on can apply it right away
+let streamState = vidiu.client.status.state;
+
+/**
+ * Tally color for a Vidiu stream state
+ * @param {string} state - Vidiu State (Ready, Starting, Previewing, Live, ...)
+ */
+function colorForStreamState(state) {
+  if (state === 'Live') return 'red';
+  if (state === 'Previewing' || state === 'Preview') return 'green';
+  return 'off';
+}
+
+// Send a color to the camera, remembering it only if the camera took it
+async function applyColor(color, source) {
+  const result = await visca.setTally(color);
+  if (result.success) {
+    tally.color = color;
+    tally.source = source;
+  }
+  return result;
+}
+
+/**
+ * Get the current tally color and mode
+ */
+function getTally() {
+  return { success: true, data: { ...tally } };
+}
+
+/**
+ * Set the tally lamp by hand (turns auto mode off)
+ * @param {string} color - red, green or off
+ */
+async function setTally(color) {
+  if (!TALLY_COLORS.includes(color)) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid tally color' };
+  }
+
+  tally.auto = false;
+  const result = await applyColor(color, 'manual');
+  if (!result.success) return result;
+  return getTally();
+}
+
+/**
+ * Turn automatic tally from the Vidiu stream state on or off
+ * (until restart; default from config.tally.auto)
+ */
+async function setAuto(enabled) {
+  tally.auto = enabled;
+  if (enabled) {
+    const result = await applyColor(colorForStreamState(streamState), 'stream');
+    if (!result.success) return result;
+  }
+  return getTally();
+}
+
+/**
+ * Set the lamp from switcher tally (program red, preview green)
+ * @param {string} color - red, green or off
+ */
+async function setFromSwitcher(color) {
+  tally.switcher = color;
+  return applyColor(color, 'switcher');
+}
+
+vidiu.client.on('status', async (status) => {
+  if (status.state === streamState) return;
+  streamState = status.state;
+  if (!tally.auto) return;
+
+  const color = colorForStreamState(streamState);
+  const result = await applyColor(color, 'stream');
+  if (result.success) {
+    console.log(`[Tally] ${streamState} -> ${color}`);
+  } else {
+    console.error(`[Tally] Failed to set ${color}:`, result.error);
+  }
+});
+
+module.exports = {
+  TALLY_COLORS,
+  colorForStreamState,
+  getTally,
+  setTally,
+  setAuto,
+  setFromSwitcher
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const presets = require('./presets');
+const cameraModels = require('./camera-models');
+
+/**
+ * Preset tours
+ *
+ * A tour is a named, ordered list of presets, each held for a dwell time.
+ * The server runs one tour at a time, looping until it's stopped - for
+ * pre-service room shots or an unattended overflow feed.
+ *
+ * Tours are stored in tours.json next to presets.json:
+ * { "<id>": { name, steps: [{ preset, dwell, speed }] } }
+ * dwell is in seconds, counted from the recall; speed is optional and
+ * overrides the preset's own recall speed.
+ */
+
+const TOURS_PATH = path.join(__dirname, '../../tours.json');
+
+const MIN_DWELL = 1;
+const MAX_DWELL = 3600;
+const MAX_STEPS = 100;
+
+// The running tour (null when stopped)
+let run = null;
+// Bumped on every start/stop so a step still waiting on the camera knows it was cancelled
+let generation = 0;
+
+function loadTours() {
+  try {
+    if (fs.existsSync(TOURS_PATH)) {
+      return JSON.parse(fs.readFileSync(TOURS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[Tours] Error loading tours:', error.message);
+  }
+  return {};
+}
+
+function saveTours(tours) {
+  try {
+    fs.writeFileSync(TOURS_PATH, JSON.stringify(tours, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error('[Tours] Error saving tours:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Check a tour from the client and normalize it
+ * @returns {{tour?: object, error?: string}}
+ */
+function validateTour({ name, steps } = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Tour needs a name' };
+  }
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    return { error: `Tour needs 1-${MAX_STEPS} steps` };
+  }
+
+  const maxSpeed = cameraModels.getModel().speeds.pan;
+  const normalized = [];
+  for (const step of steps) {
+    const { preset, dwell, speed } = step || {};
+    if (!Number.isInteger(preset) || preset < 1 || preset > 254) {
+      return { error: 'Step preset must be 1-254' };
+    }
+    if (!Number.isFinite(dwell) || dwell < MIN_DWELL || dwell > MAX_DWELL) {
+      return { error: `Step dwell must be ${MIN_DWELL}-${MAX_DWELL} seconds` };
+    }
+    if (speed !== undefined && speed !== null && !(Number.isInteger(speed) && speed >= 1 && speed <= maxSpeed)) {
+      return { error: `Step speed must be 1-${maxSpeed}` };
+    }
+    normalized.push(speed ? { preset, dwell, speed } : { preset, dwell });
+  }
+  return { tour: { name: name.trim(), steps: normalized } };
+}
+
+// Next free id - tours are numbered in the order they were created
+function nextId(tours) {
+  const ids = Object.keys(tours).map(Number).filter(Number.isInteger);
+  return String(ids.length ? Math.max(...ids) + 1 : 1);
+}
+
+/**
+ * List saved tours
+ */
+function getTours() {
+  return { success: true, data: loadTours() };
+}
+
+/**
+ * Create a tour, or replace one when id is given
+ * @param {string|null} id - Tour to replace (null to create)
+ * @param {object} body - { name, steps }
+ */
+function saveTour(id, body) {
+  const { tour, error } = validateTour(body);
+  if (error) return { success: false, code: 'INVALID_ARGUMENT', error };
+
+  const tours = loadTours();
+  if (id !== null && !Object.hasOwn(tours, id)) {
+    return { success: false, code: 'NOT_FOUND', error: 'No such tour' };
+  }
+  const tourId = id ?? nextId(tours);
+  tours[tourId] = tour;
+  if (!saveTours(tours)) {
+    return { success: false, error: 'Failed to save tour' };
+  }
+
+  // The running tour picks up its new steps on the next recall
+  if (run && run.id === tourId) {
+    run.tour = tour;
+    run.stepIndex = Math.min(run.stepIndex, tour.steps.length - 1);
+  }
+  return { success: true, data: { id: tourId, ...tour } };
+}
+
+/**
+ * Delete a tour (stopping it if it's running)
+ */
+function deleteTour(id) {
+  const tours = loadTours();
+  if (!Object.hasOwn(tours, id)) {
+    return { success: false, code: 'NOT_FOUND', error: 'No such tour' };
+  }
+  if (run && run.id === id) stopTour();
+
+  delete tours[id];
+  if (!saveTours(tours)) {
+    return { success: false, error: 'Failed to save tours' };
+  }
+  return { success: true };
+}
+
+// Recall one step, then schedule the next after its dwell
+async function runStep(gen) {
+  if (gen !== generation || !run) return;
+
+  const steps = run.tour.steps;
+  run.stepIndex = run.nextIndex % steps.length;
+  run.nextIndex = run.stepIndex + 1;
+  const step = steps[run.stepIndex];
+  run.nextAt = Date.now() + step.dwell * 1000;
+
+  const result = await presets.recallPreset(step.preset, step.speed);
+  if (gen !== generation) return;
+  if (!result.success) {
+    // Keep going - an unattended tour shouldn't die on one missed recall
+    console.warn(`[Tours] Recall of preset ${step.preset} failed: ${result.error}`);
+  }
+
+  run.timer = setTimeout(() => runStep(gen), Math.max(0, run.nextAt - Date.now()));
+}
+
+/**
+ * Start a tour from its first step (replaces any running tour)
+ */
+function startTour(id) {
+  const tours = loadTours();
+  if (!Object.hasOwn(tours, id)) {
+    return { success: false, code: 'NOT_FOUND', error: 'No such tour' };
+  }
+
+  const tour = tours[id];
+  stopTour();
+  run = { id, tour, stepIndex: 0, nextIndex: 0, nextAt: null, timer: null };
+  console.log(`[Tours] Starting "${tour.name}" (${tour.steps.length} steps)`);
+  runStep(generation);
+  return getStatus();
+}
+
+/**
+ * Stop the running tour (the camera stays where it is)
+ */
+function stopTour() {
+  generation++;
+  if (run) {
+    clearTimeout(run.timer);
+    console.log(`[Tours] Stopped "${run.tour.name}"`);
+    run = null;
+  }
+  return getStatus();
+}
+
+/**
+ * What's running: tour, current step and when the next recall happens
+ */
+function getStatus() {
+  if (!run) {
+    return { success: true, data: { running: false } };
+  }
+  const step = run.tour.steps[run.stepIndex];
+  return {
+    success: true,
+    data: {
+      running: true,
+      id: run.id,
+      name: run.tour.name,
+      step: run.stepIndex + 1,
+      steps: run.tour.steps.length,
+      preset: step.preset,
+      nextIn: Math.max(0, Math.round((run.nextAt - Date.now()) / 1000))
+    }
+  };
+}
+
+module.exports = {
+  getTours,
+  saveTour,
+  deleteTour,
+  startTour,
+  stopTour,
+  getStatus
+};
@@ -0,0 +1,235 @@
+const dgram = require('dgram');
+const net = require('net');
+const config = require('../../config.json');
+const tally = require('./tally');
+
+/**
+ * TSL UMD tally listener
+ *
+ * Video switchers send tally for every source; we pick out the one at our
+ * configured index and drive the camera tally lamp from it:
+ * program -> red, preview -> green, neither -> off.
+ *
+ * TSL 3.1: 18-byte packets - address + 0x80, control byte (bit 0 tally 1,
+ *          bit 1 tally 2), 16 bytes of display text. Tally 1 is program,
+ *          tally 2 preview.
+ * TSL 5.0: PBC (2 bytes LE), version, flags, screen (2 bytes LE), then
+ *          display messages - index (2 LE), control (2 LE), length (2 LE), text.
+ *          Control bits 0-1, 2-3 and 4-5 are the RH, text and LH tally
+ *          (1 red, 2 green, 3 amber). Over TCP packets are wrapped in DLE/STX.
+ */
+
+const DEFAULT_PORT = 8900;
+const TSL31_PACKET_LENGTH = 18;
+const TSL5_HEADER_LENGTH = 6;
+const TSL5_BROADCAST_INDEX = 0xFFFF;
+// TSL 5.0 TCP framing (DLE/STX, with literal DLE sent twice)
+const DLE = 0xFE;
+const STX = 0x02;
+
+const settings = {
+  enabled: config.tsl?.enabled ?? false,
+  protocol: config.tsl?.protocol || '5.0',
+  transport: config.tsl?.transport || 'udp',
+  port: config.tsl?.port || DEFAULT_PORT,
+  index: config.tsl?.index ?? 1
+};
+
+let server = null;
+// Last tally the switcher sent for our index (null until a message arrives)
+let received = null;
+// Last tally the lamp took - a switcher tally is sent again until it does
+let lastTally = null;
+// Color on its way to the lamp, so repeats don't pile up behind it
+let sending = null;
+let failing = false;
+
+/**
+ * Parse a TSL 3.1 packet
+ * @param {Buffer} packet - 18 bytes
+ * @returns {{index: number, program: boolean, preview: boolean, text: string}|null}
+ */
+function parseTsl31(packet) {
+  if (packet.length < TSL31_PACKET_LENGTH || !(packet[0] & 0x80)) return null;
+  return {
+    index: packet[0] & 0x7F,
+    program: (packet[1] & 0x01) !== 0,
+    preview: (packet[1] & 0x02) !== 0,
+    text: packet.toString('ascii', 2, TSL31_PACKET_LENGTH).trim()
+  };
+}
+
+/**
+ * Parse a TSL 5.0 packet (without TCP framing)
+ * @param {Buffer} packet
+ * @returns {Array<{index: number, program: boolean, preview: boolean, text: string}>}
+ */
+function parseTsl5(packet) {
+  const messages = [];
+  if (packet.length < TSL5_HEADER_LENGTH) return messages;
+
+  const end = Math.min(packet.length, packet.readUInt16LE(0) + 2);
+  let offset = TSL5_HEADER_LENGTH;
+  while (offset + 6 <= end) {
+    const index = packet.readUInt16LE(offset);
+    const control = packet.readUInt16LE(offset + 2);
+    const length = packet.readUInt16LE(offset + 4);
+    offset += 6;
+
+    // Bit 15 marks control data rather than display text - nothing for us
+    if (!(control & 0x8000)) {
+      const lamps = [control & 0x03, (control >> 2) & 0x03, (control >> 4) & 0x03];
+      messages.push({
+        index,
+        program: lamps.includes(1),
+        preview: lamps.includes(2),
+        text: packet.toString('utf8', offset, Math.min(offset + length, end))
+      });
+    }
+    offset += length;
+  }
+  return messages;
+}
+
+/**
+ * Split a TSL 3.1 byte stream into packets
+ * Skips anything before a byte with the address bit set, so a listener
+ * that joins mid-packet resyncs on the next one.
+ */
+function createTsl31Splitter(onPacket) {
+  let pending = Buffer.alloc(0);
+  return (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length > 0) {
+      const start = pending.findIndex(byte => byte & 0x80);
+      if (start < 0) {
+        pending = Buffer.alloc(0);
+        return;
+      }
+      if (pending.length - start < TSL31_PACKET_LENGTH) {
+        pending = pending.subarray(start);
+        return;
+      }
+      onPacket(pending.subarray(start, start + TSL31_PACKET_LENGTH));
+      pending = pending.subarray(start + TSL31_PACKET_LENGTH);
+    }
+  };
+}
+
+/**
+ * Unwrap a TSL 5.0 TCP stream (DLE/STX framing) into packets
+ */
+function createTsl5Unwrapper(onPacket) {
+  let packet = null;
+  let escaped = false;
+
+  function push(byte) {
+    packet.push(byte);
+    if (packet.length >= 2 && packet.length === (packet[0] | (packet[1] << 8)) + 2) {
+      onPacket(Buffer.from(packet));
+      packet = null;
+    }
+  }
+
+  return (chunk) => {
+    for (const byte of chunk) {
+      if (escaped) {
+        escaped = false;
+        if (byte === STX) {
+          packet = [];
+        } else if (byte === DLE && packet) {
+          push(DLE);
+        }
+        continue;
+      }
+      if (byte === DLE) {
+        escaped = true;
+      } else if (packet) {
+        push(byte);
+      }
+    }
+  };
+}
+
+// Apply a display message if it's for our index
+function handleMessage(message) {
+  if (message.index !== settings.index && message.index !== TSL5_BROADCAST_INDEX) return;
+
+  const color = message.program ? 'red' : message.preview ? 'green' : 'off';
+  if (!received || received.color !== color) {
+    console.log(`[TSL] Index ${settings.index} (${message.text || 'no label'}) -> ${color}`);
+  }
+  received = { color, text: message.text };
+
+  // Switchers repeat tally constantly - only send changes, retrying until the lamp takes one
+  if ((lastTally && lastTally.color === color) || sending === color) return;
+  sending = color;
+  tally.setFromSwitcher(color).then(result => {
+    sending = null;
+    if (result.success) {
+      lastTally = { color, text: message.text };
+      failing = false;
+    } else {
+      lastTally = null;
+      // Once per outage, not for every repeat
+      if (!failing) console.error(`[TSL] Failed to set tally ${color}:`, result.error);
+      failing = true;
+    }
+  });
+}
+
+function handlePacket(packet) {
+  if (settings.protocol === '3.1') {
+    // UDP datagrams may carry several 18-byte packets back to back
+    for (let offset = 0; offset + TSL31_PACKET_LENGTH <= packet.length; offset += TSL31_PACKET_LENGTH) {
+      const message = parseTsl31(packet.subarray(offset, offset + TSL31_PACKET_LENGTH));
+      if (message) handleMessage(message);
+    }
+  } else {
+    parseTsl5(packet).forEach(handleMessage);
+  }
+}
+
+/**
+ * Start listening for TSL tally (no-op unless config.tsl.enabled)
+ */
+function start() {
+  if (!settings.enabled || server) return;
+
+  if (settings.transport === 'tcp') {
+    server = net.createServer((socket) => {
+      console.log(`[TSL] Switcher connected from ${socket.remoteAddress}`);
+      const onData = settings.protocol === '3.1'
+        ? createTsl31Splitter(handlePacket)
+        : createTsl5Unwrapper(handlePacket);
+      socket.on('data', onData);
+      socket.on('error', (err) => console.error('[TSL] Socket error:', err.message));
+    });
+    server.listen(settings.port);
+  } else {
+    server = dgram.createSocket('udp4');
+    server.on('message', handlePacket);
+    server.bind(settings.port);
+  }
+
+  server.on('error', (err) => console.error('[TSL] Listener error:', err.message));
+  console.log(`[TSL] Listening for TSL ${settings.protocol} on ${settings.transport.toUpperCase()} ${settings.port}, index ${settings.index}`);
+}
+
+/**
+ * Get the listener settings, the last tally the switcher sent for our index
+ * (switcher) and the last one the lamp took (lastTally)
+ */
+function getStatus() {
+  return {
+    success: true,
+    data: { ...settings, listening: server !== null, switcher: received, lastTally }
+  };
+}
+
+module.exports = {
+  parseTsl31,
+  parseTsl5,
+  start,
+  getStatus
+};
@@ -1,9 +1,20 @@
 const net = require('net');
+const EventEmitter = require('events');
 const config = require('../../config.json');
 
 const VISCA_PORT = config.camera.viscaPort;
 const CAMERA_IP = config.camera.ip;
 
+// Connection timing (ms)
+const QUEUE_TIMEOUT = 5000;       // Max wait in queue before the command is sent
+const ACK_TIMEOUT = 3000;         // Max wait for ACK (or inquiry reply) after sending
+const COMPLETION_TIMEOUT = 10000; // Max wait for completion after ACK
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 10000;
+
+// Result for anything passed as a command that isn't a packet (e.g. a missed table lookup)
+const INVALID_COMMAND = { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid VISCA command' };
+
 // VISCA command constants
 const VISCA_COMMANDS = {
   // Exposure modes
@@ -47,53 +58,628 @@ const VISCA_COMMANDS = {
   BLUE_GAIN_UP: Buffer.from([0x81, 0x01, 0x04, 0x04, 0x02, 0xFF]),
   BLUE_GAIN_DOWN: Buffer.from([0x81, 0x01, 0x04, 0x04, 0x03, 0xFF]),
 
+  // Power (standby keeps VISCA/network up so the camera can be woken)
+  POWER_ON: Buffer.from([0x81, 0x01, 0x04, 0x00, 0x02, 0xFF]),
+  POWER_STANDBY: Buffer.from([0x81, 0x01, 0x04, 0x00, 0x03, 0xFF]),
+
+  // Picture orientation and freeze
+  FLIP_ON: Buffer.from([0x81, 0x01, 0x04, 0x66, 0x02, 0xFF]),
+  FLIP_OFF: Buffer.from([0x81, 0x01, 0x04, 0x66, 0x03, 0xFF]),
+  MIRROR_ON: Buffer.from([0x81, 0x01, 0x04, 0x61, 0x02, 0xFF]),
+  MIRROR_OFF: Buffer.from([0x81, 0x01, 0x04, 0x61, 0x03, 0xFF]),
+  FREEZE_ON: Buffer.from([0x81, 0x01, 0x04, 0x62, 0x02, 0xFF]),
+  FREEZE_OFF: Buffer.from([0x81, 0x01, 0x04, 0x62, 0x03, 0xFF]),
+
+  // Tally lamp (PTZOptics extension: 7E 01 0A 00 0p, p = 2 red, 4 green, 3 off)
+  TALLY_RED: Buffer.from([0x81, 0x01, 0x7E, 0x01, 0x0A, 0x00, 0x02, 0xFF]),
+  TALLY_GREEN: Buffer.from([0x81, 0x01, 0x7E, 0x01, 0x0A, 0x00, 0x04, 0xFF]),
+  TALLY_OFF: Buffer.from([0x81, 0x01, 0x7E, 0x01, 0x0A, 0x00, 0x03, 0xFF]),
+
+  // On-screen menu
+  MENU_OPEN: Buffer.from([0x81, 0x01, 0x06, 0x06, 0x02, 0xFF]),
+  MENU_CLOSE: Buffer.from([0x81, 0x01, 0x06, 0x06, 0x03, 0xFF]),
+  MENU_ENTER: Buffer.from([0x81, 0x01, 0x7E, 0x01, 0x02, 0x00, 0x01, 0xFF]),
+
+  // Digital zoom (extends the zoom position range past full optical)
+  DZOOM_ON: Buffer.from([0x81, 0x01, 0x04, 0x06, 0x02, 0xFF]),
+  DZOOM_OFF: Buffer.from([0x81, 0x01, 0x04, 0x06, 0x03, 0xFF]),
+
   // Focus
   FOCUS_AUTO: Buffer.from([0x81, 0x01, 0x04, 0x38, 0x02, 0xFF]),
   FOCUS_MANUAL: Buffer.from([0x81, 0x01, 0x04, 0x38, 0x03, 0xFF]),
   FOCUS_ONE_PUSH: Buffer.from([0x81, 0x01, 0x04, 0x18, 0x01, 0xFF]),
+  AF_SENSITIVITY_NORMAL: Buffer.from([0x81, 0x01, 0x04, 0x58, 0x02, 0xFF]),
+  AF_SENSITIVITY_LOW: Buffer.from([0x81, 0x01, 0x04, 0x58, 0x03, 0xFF]),
+  // Focus lock ignores focus commands (including AF) until unlocked
+  FOCUS_LOCK_ON: Buffer.from([0x81, 0x0A, 0x04, 0x68, 0x02, 0xFF]),
+  FOCUS_LOCK_OFF: Buffer.from([0x81, 0x0A, 0x04, 0x68, 0x03, 0xFF]),
+
+  // Stop commands (sent ahead of anything already queued)
+  PAN_TILT_STOP: Buffer.from([0x81, 0x01, 0x06, 0x01, 0x01, 0x01, 0x03, 0x03, 0xFF]),
+  ZOOM_STOP: Buffer.from([0x81, 0x01, 0x04, 0x07, 0x00, 0xFF]),
+  FOCUS_STOP: Buffer.from([0x81, 0x01, 0x04, 0x08, 0x00, 0xFF]),
+};
+
+// Direct-value positions and their human-readable units (PTZOptics, 60Hz)
+const VALUE_TABLES = {
+  shutter: [
+    { value: 0x01, label: '1/30' },
+    { value: 0x02, label: '1/60' },
+    { value: 0x03, label: '1/90' },
+    { value: 0x04, label: '1/100' },
+    { value: 0x05, label: '1/125' },
+    { value: 0x06, label: '1/180' },
+    { value: 0x07, label: '1/250' },
+    { value: 0x08, label: '1/350' },
+    { value: 0x09, label: '1/500' },
+    { value: 0x0A, label: '1/725' },
+    { value: 0x0B, label: '1/1000' },
+    { value: 0x0C, label: '1/1500' },
+    { value: 0x0D, label: '1/2000' },
+    { value: 0x0E, label: '1/3000' },
+    { value: 0x0F, label: '1/4000' },
+    { value: 0x10, label: '1/6000' },
+    { value: 0x11, label: '1/10000' },
+  ],
+  iris: [
+    { value: 0x00, label: 'Closed' },
+    { value: 0x05, label: 'F14' },
+    { value: 0x06, label: 'F11' },
+    { value: 0x07, label: 'F9.6' },
+    { value: 0x08, label: 'F8.0' },
+    { value: 0x09, label: 'F6.8' },
+    { value: 0x0A, label: 'F5.6' },
+    { value: 0x0B, label: 'F4.8' },
+    { value: 0x0C, label: 'F4.0' },
+    { value: 0x0D, label: 'F3.4' },
+    { value: 0x0E, label: 'F2.8' },
+    { value: 0x0F, label: 'F2.4' },
+    { value: 0x10, label: 'F2.0' },
+    { value: 0x11, label: 'F1.8' },
+  ],
+  // 3dB per step
+  gain: Array.from({ length: 16 }, (_, i) => ({ value: i, label: i === 0 ? '0dB' : `+${i * 3}dB` })),
+};
+
+// Range for red/blue gain (unitless)
+const COLOR_GAIN_RANGE = { min: 0x00, max: 0xFF };
+
+// Focus position range - 0x1000 is infinity, higher values focus closer
+const FOCUS_RANGE = { min: 0x1000, max: 0xF000 };
+
+// Picture settings: VISCA command byte (8x 01 04 cc ...), value range and HTTP-CGI name
+// 'direct' values are sent as 00 00 0p 0q, 'byte' values as a single 0p.
+// Settings with options take a name instead of a number.
+const IMAGE_SETTINGS = {
+  brightness: { code: 0xA1, format: 'direct', min: 0, max: 14, cgi: 'bright' },
+  contrast: { code: 0xA2, format: 'direct', min: 0, max: 14, cgi: 'contrast' },
+  saturation: { code: 0x49, format: 'direct', min: 0, max: 14, cgi: 'saturation' },
+  hue: { code: 0x4F, format: 'direct', min: 0, max: 14, cgi: 'hue' },
+  sharpness: { code: 0x42, format: 'direct', min: 0, max: 14, cgi: 'sharpness' },
+  gamma: { code: 0x5B, format: 'byte', min: 0, max: 4, cgi: null },
+  wdr: { code: 0xD3, format: 'byte', min: 0, max: 6, cgi: null },
+  nr2d: { code: 0x53, format: 'byte', min: 0, max: 5, cgi: null },
+  nr3d: { code: 0x54, format: 'byte', min: 0, max: 8, cgi: null },
+  flicker: { code: 0x23, format: 'byte', options: { off: 0x00, '50hz': 0x01, '60hz': 0x02 }, cgi: null }
 };
 
+// Reply value names for mode inquiries
+const EXPOSURE_MODES = { 0x00: 'auto', 0x03: 'manual', 0x0A: 'shutter', 0x0B: 'iris', 0x0D: 'bright' };
+const WB_MODES = { 0x00: 'auto', 0x01: 'indoor', 0x02: 'outdoor', 0x03: 'onepush', 0x05: 'manual' };
+const FOCUS_MODES = { 0x02: 'auto', 0x03: 'manual' };
+const AF_SENSITIVITIES = { 0x02: 'normal', 0x03: 'low' };
+const POWER_STATES = { 0x02: 'on', 0x03: 'standby' };
+
+/**
+ * Decode a value sent as 4-bit nibbles (0p 0q 0r 0s)
+ * @param {Buffer} packet - Inquiry reply (y0 50 ... FF)
+ * @param {number} offset - Index of the first nibble byte
+ * @param {number} count - Number of nibbles
+ */
+function decodeNibbles(packet, offset, count) {
+  let value = 0;
+  for (let i = 0; i < count; i++) {
+    value = (value << 4) | (packet[offset + i] & 0x0F);
+  }
+  return value;
+}
+
+// Convert a 16-bit position to signed (pan/tilt left/down of center are negative)
+function toSigned16(value) {
+  return value & 0x8000 ? value - 0x10000 : value;
+}
+
+/**
+ * Encode a value as 4-bit nibbles (0p 0q 0r 0s)
+ * @param {number} value - Value to encode (negative values use 16-bit two's complement)
+ * @param {number} count - Number of nibbles
+ */
+function encodeNibbles(value, count) {
+  const nibbles = [];
+  for (let i = count - 1; i >= 0; i--) {
+    nibbles.push((value >> (i * 4)) & 0x0F);
+  }
+  return nibbles;
+}
+
+// Decoders for inquiry replies
+const decodeMode = (modes) => (packet) => modes[packet[2]] || 'unknown';
+const decodeOnOff = (packet) => packet[2] === 0x02;
+const decodePosition = (packet) => decodeNibbles(packet, 2, 4);
+const decodePanTilt = (packet) => ({
+  pan: toSigned16(decodeNibbles(packet, 2, 4)),
+  tilt: toSigned16(decodeNibbles(packet, 6, 4))
+});
+
+/**
+ * Inquiries for each picture setting, keyed 'image.<name>'
+ */
+function imageInquiries() {
+  const inquiries = {};
+  for (const [name, setting] of Object.entries(IMAGE_SETTINGS)) {
+    const raw = setting.format === 'direct' ? decodePosition : (packet) => packet[2];
+    const decode = setting.options
+      ? (packet) => Object.keys(setting.options).find(key => setting.options[key] === raw(packet)) || 'unknown'
+      : raw;
+    inquiries[`image.${name}`] = { command: Buffer.from([0x81, 0x09, 0x04, setting.code, 0xFF]), decode };
+  }
+  return inquiries;
+}
+
+// VISCA inquiry commands (8x 09 ...) and how to decode their replies
+const VISCA_INQUIRIES = {
+  exposureMode: { command: Buffer.from([0x81, 0x09, 0x04, 0x39, 0xFF]), decode: decodeMode(EXPOSURE_MODES) },
+  gain: { command: Buffer.from([0x81, 0x09, 0x04, 0x4C, 0xFF]), decode: decodePosition },
+  shutter: { command: Buffer.from([0x81, 0x09, 0x04, 0x4A, 0xFF]), decode: decodePosition },
+  iris: { command: Buffer.from([0x81, 0x09, 0x04, 0x4B, 0xFF]), decode: decodePosition },
+  brightness: { command: Buffer.from([0x81, 0x09, 0x04, 0x4D, 0xFF]), decode: decodePosition },
+  backlight: { command: Buffer.from([0x81, 0x09, 0x04, 0x33, 0xFF]), decode: decodeOnOff },
+  wbMode: { command: Buffer.from([0x81, 0x09, 0x04, 0x35, 0xFF]), decode: decodeMode(WB_MODES) },
+  redGain: { command: Buffer.from([0x81, 0x09, 0x04, 0x43, 0xFF]), decode: decodePosition },
+  blueGain: { command: Buffer.from([0x81, 0x09, 0x04, 0x44, 0xFF]), decode: decodePosition },
+  focusMode: { command: Buffer.from([0x81, 0x09, 0x04, 0x38, 0xFF]), decode: decodeMode(FOCUS_MODES) },
+  focusPosition: { command: Buffer.from([0x81, 0x09, 0x04, 0x48, 0xFF]), decode: decodePosition },
+  focusNearLimit: { command: Buffer.from([0x81, 0x09, 0x04, 0x28, 0xFF]), decode: decodePosition },
+  afSensitivity: { command: Buffer.from([0x81, 0x09, 0x04, 0x58, 0xFF]), decode: decodeMode(AF_SENSITIVITIES) },
+  ...imageInquiries(),
+  power: { command: Buffer.from([0x81, 0x09, 0x04, 0x00, 0xFF]), decode: decodeMode(POWER_STATES) },
+  menu: { command: Buffer.from([0x81, 0x09, 0x06, 0x06, 0xFF]), decode: decodeOnOff },
+  flip: { command: Buffer.from([0x81, 0x09, 0x04, 0x66, 0xFF]), decode: decodeOnOff },
+  mirror: { command: Buffer.from([0x81, 0x09, 0x04, 0x61, 0xFF]), decode: decodeOnOff },
+  freeze: { command: Buffer.from([0x81, 0x09, 0x04, 0x62, 0xFF]), decode: decodeOnOff },
+  panTiltPosition: { command: Buffer.from([0x81, 0x09, 0x06, 0x12, 0xFF]), decode: decodePanTilt },
+  zoomPosition: { command: Buffer.from([0x81, 0x09, 0x04, 0x47, 0xFF]), decode: decodePosition },
+  digitalZoom: { command: Buffer.from([0x81, 0x09, 0x04, 0x06, 0xFF]), decode: decodeOnOff },
+};
+
+// VISCA error replies (y0 6z ee FF), keyed by error byte
+const VISCA_ERRORS = {
+  0x01: { code: 'MESSAGE_LENGTH', message: 'Camera rejected the command (message length error)' },
+  0x02: { code: 'SYNTAX_ERROR', message: 'Camera rejected the command (syntax error)' },
+  0x03: { code: 'BUFFER_FULL', message: 'Camera is busy (command buffer full)' },
+  0x04: { code: 'CANCELLED', message: 'Command was cancelled' },
+  0x05: { code: 'NO_SOCKET', message: 'No command to cancel in that socket' },
+  0x41: { code: 'NOT_EXECUTABLE', message: 'Command not executable in the current camera mode' },
+};
+
+/**
+ * Decode a VISCA error reply into a result
+ * @param {Buffer} packet - The error packet (y0 6z ee FF)
+ */
+function decodeError(packet) {
+  const known = VISCA_ERRORS[packet[2]];
+  if (known) {
+    return { success: false, code: known.code, error: known.message, data: packet };
+  }
+  return {
+    success: false,
+    code: 'UNKNOWN_ERROR',
+    error: `Camera returned VISCA error 0x${packet[2].toString(16).padStart(2, '0')}`,
+    data: packet
+  };
+}
+
+/**
+ * Build a direct-value command (8x 01 04 cc 00 00 0p 0q FF)
+ * @param {number} code - Command byte (e.g. 0x4A for shutter)
+ * @param {number} value - 0x00-0xFF
+ */
+function directCommand(code, value) {
+  return Buffer.from([0x81, 0x01, 0x04, code, 0x00, 0x00, (value >> 4) & 0x0F, value & 0x0F, 0xFF]);
+}
+
+// Pan-tiltDrive direction bytes: [pan, tilt] (01 left/up, 02 right/down, 03 stop)
+const DRIVE_DIRECTIONS = {
+  up: [0x03, 0x01],
+  down: [0x03, 0x02],
+  left: [0x01, 0x03],
+  right: [0x02, 0x03],
+  upleft: [0x01, 0x01],
+  upright: [0x02, 0x01],
+  downleft: [0x01, 0x02],
+  downright: [0x02, 0x02],
+};
+
+/**
+ * Build a Pan-tiltDrive command (8x 01 06 01 VV WW 0p 0q FF)
+ * Pan and tilt run at independent speeds, so diagonals are a single command.
+ * @param {string} direction - Key of DRIVE_DIRECTIONS
+ * @param {number} panSpeed - 0x01-0x18
+ * @param {number} tiltSpeed - 0x01-0x14
+ */
+function panTiltDriveCommand(direction, panSpeed, tiltSpeed) {
+  const [panDir, tiltDir] = DRIVE_DIRECTIONS[direction];
+  return Buffer.from([0x81, 0x01, 0x06, 0x01, panSpeed, tiltSpeed, panDir, tiltDir, 0xFF]);
+}
+
+/**
+ * Build a Pan-tiltDrive absolute position command
+ * (8x 01 06 02 VV WW 0Y 0Y 0Y 0Y 0Z 0Z 0Z 0Z FF)
+ * @param {number} pan - Signed pan position
+ * @param {number} tilt - Signed tilt position
+ * @param {number} panSpeed - 0x01-0x18
+ * @param {number} tiltSpeed - 0x01-0x14
+ */
+function panTiltAbsoluteCommand(pan, tilt, panSpeed, tiltSpeed) {
+  return Buffer.from([
+    0x81, 0x01, 0x06, 0x02, panSpeed, tiltSpeed,
+    ...encodeNibbles(pan, 4), ...encodeNibbles(tilt, 4), 0xFF
+  ]);
+}
+
 /**
- * Send a VISCA command via TCP
+ * Build a CAM_Zoom Direct command (8x 01 04 47 0p 0q 0r 0s FF)
+ * @param {number} position - Zoom position
+ */
+function zoomDirectCommand(position) {
+  return Buffer.from([0x81, 0x01, 0x04, 0x47, ...encodeNibbles(position, 4), 0xFF]);
+}
+
+/**
+ * Build a CAM_Focus Direct command (8x 01 04 48 0p 0q 0r 0s FF)
+ * @param {number} position - Focus position
+ */
+function focusDirectCommand(position) {
+  return Buffer.from([0x81, 0x01, 0x04, 0x48, ...encodeNibbles(position, 4), 0xFF]);
+}
+
+/**
+ * Build a CAM_FocusNearLimit command (8x 01 04 28 0p 0q 0r 0s FF)
+ * Autofocus won't focus closer than this position.
+ * @param {number} position - Focus position
+ */
+function focusNearLimitCommand(position) {
+  return Buffer.from([0x81, 0x01, 0x04, 0x28, ...encodeNibbles(position, 4), 0xFF]);
+}
+
+/**
+ * Build a variable-speed CAM_Zoom command (8x 01 04 07 2p FF tele, 3p wide)
+ * @param {string} direction - 'in' (tele) or 'out' (wide)
+ * @param {number} speed - 0-7
+ */
+function zoomDriveCommand(direction, speed) {
+  const base = direction === 'in' ? 0x20 : 0x30;
+  return Buffer.from([0x81, 0x01, 0x04, 0x07, base | speed, 0xFF]);
+}
+
+/**
+ * Build a preset recall speed command (PTZOptics extension: 8x 01 7E 01 0B pp FF)
+ * Applies to every later recall until changed.
+ * @param {number} speed - 0x01-0x18
+ */
+function presetSpeedCommand(speed) {
+  return Buffer.from([0x81, 0x01, 0x7E, 0x01, 0x0B, speed, 0xFF]);
+}
+
+/**
+ * Check whether a command is a stop (pan/tilt, zoom or focus)
+ * Stop commands jump the queue so the camera halts as soon as possible.
+ * Pan-tilt stop ignores the speed bytes, so only direction bytes are compared.
  * @param {Buffer} command - The VISCA command buffer
- * @returns {Promise<{success: boolean, data?: Buffer, error?: string}>}
  */
-function sendVISCACommand(command) {
-  return new Promise((resolve) => {
-    const client = new net.Socket();
-    let responseData = Buffer.alloc(0);
+function isStopCommand(command) {
+  if (command.equals(VISCA_COMMANDS.ZOOM_STOP) || command.equals(VISCA_COMMANDS.FOCUS_STOP)) {
+    return true;
+  }
+  return command.length === 9 &&
+    command[1] === 0x01 && command[2] === 0x06 && command[3] === 0x01 &&
+    command[6] === 0x03 && command[7] === 0x03;
+}
 
-    client.setTimeout(3000);
+/**
+ * Which axis a motion command moves: 'panTilt', 'zoom', 'focus' or null
+ * Covers drives (including stops) and absolute/relative moves.
+ * @param {Buffer} command - The VISCA command buffer
+ */
+function motionAxis(command) {
+  if (command[1] !== 0x01) return null;
+  if (command[2] === 0x06 && [0x01, 0x02, 0x03].includes(command[3])) return 'panTilt';
+  if (command[2] === 0x04 && (command[3] === 0x07 || command[3] === 0x47)) return 'zoom';
+  if (command[2] === 0x04 && (command[3] === 0x08 || command[3] === 0x48)) return 'focus';
+  return null;
+}
 
-    client.connect(VISCA_PORT, CAMERA_IP, () => {
-      client.write(command);
+/**
+ * Persistent VISCA-over-TCP connection to a single camera
+ *
+ * Commands are sent one at a time in order. The camera answers each with:
+ * - ACK          y0 4z FF       - command accepted into socket z
+ * - Completion   y0 5z FF       - command finished (inquiries reply y0 50 ... FF directly)
+ * - Error        y0 6z ee FF    - command rejected or failed
+ *
+ * Once a command is ACKed it keeps running in its socket while the next
+ * queued command is sent, so a long move doesn't block a following stop.
+ * A stop jumps the queue and cancels moves still queued for its axis -
+ * otherwise they'd run after it and the camera would keep going.
+ * The socket reconnects automatically with backoff after it drops.
+ */
+class ViscaConnection extends EventEmitter {
+  constructor(host, port) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.socket = null;
+    this.connected = false;
+    this.connecting = false;
+    this.closing = false;
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.pending = null;          // Sent, waiting for ACK or inquiry reply
+    this.executing = new Map();   // Camera socket number -> ACKed command awaiting completion
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+  }
+
+  connect() {
+    if (this.connected || this.connecting) return;
+
+    this.connecting = true;
+    this.closing = false;
+    this.buffer = Buffer.alloc(0);
+
+    const socket = new net.Socket();
+    this.socket = socket;
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, 5000);
+
+    socket.connect(this.port, this.host, () => {
+      console.log(`[VISCA] Connected to ${this.host}:${this.port}`);
+      this.connected = true;
+      this.connecting = false;
+      this.reconnectDelay = RECONNECT_MIN_DELAY;
+      this.emit('connected');
+      this.pump();
     });
 
-    client.on('data', (data) => {
-      responseData = Buffer.concat([responseData, data]);
-      // VISCA responses end with 0xFF
-      if (data[data.length - 1] === 0xFF) {
-        client.destroy();
-        resolve({ success: true, data: responseData });
+    socket.on('data', (data) => this.handleData(data));
+
+    socket.on('error', (err) => {
+      if (this.connected) {
+        console.error(`[VISCA] Socket error: ${err.message}`);
       }
     });
 
-    client.on('timeout', () => {
-      client.destroy();
-      resolve({ success: false, error: 'Connection timeout' });
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      const wasConnected = this.connected;
+      this.socket = null;
+      this.connected = false;
+      this.connecting = false;
+      this.failInFlight('Connection to camera lost');
+
+      if (wasConnected) {
+        console.log(`[VISCA] Disconnected from ${this.host}:${this.port}`);
+        this.emit('disconnected');
+      } else {
+        // Connection attempt failed - don't leave callers waiting for the queue timeout
+        this.failQueued('UNREACHABLE', 'Cannot connect to camera');
+      }
+
+      if (!this.closing) {
+        this.scheduleReconnect();
+      }
     });
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY);
+  }
+
+  /**
+   * Queue a command for sending
+   * @param {Buffer} command - The VISCA command buffer
+   * @param {object} options - { priority: send before queued commands, timeout: completion timeout in ms }
+   * @returns {Promise<{success: boolean, data?: Buffer, code?: string, error?: string}>}
+   */
+  send(command, options = {}) {
+    if (!Buffer.isBuffer(command)) return Promise.resolve({ ...INVALID_COMMAND });
+    return new Promise((resolve) => {
+      const entry = {
+        command,
+        inquiry: command[1] === 0x09,
+        completionTimeout: options.timeout || COMPLETION_TIMEOUT,
+        timer: null,
+        resolve
+      };
+
+      entry.timer = setTimeout(() => {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) this.queue.splice(index, 1);
+        this.finish(entry, this.connected
+          ? { success: false, code: 'TIMEOUT', error: 'Camera not responding' }
+          : { success: false, code: 'UNREACHABLE', error: 'Cannot connect to camera' });
+      }, QUEUE_TIMEOUT);
+
+      if (isStopCommand(command)) {
+        this.cancelQueuedMotion(motionAxis(command));
+      }
+      if (options.priority) {
+        this.queue.unshift(entry);
+      } else {
+        this.queue.push(entry);
+      }
 
-    client.on('error', (err) => {
-      client.destroy();
-      resolve({ success: false, error: err.message });
+      if (!this.connected) {
+        this.connect();
+      } else {
+        this.pump();
+      }
     });
+  }
+
+  pump() {
+    if (!this.connected || this.pending || this.queue.length === 0) return;
+
+    const entry = this.queue.shift();
+    clearTimeout(entry.timer);
+    this.pending = entry;
+    entry.timer = setTimeout(() => {
+      if (this.pending === entry) this.pending = null;
+      this.finish(entry, { success: false, code: 'TIMEOUT', error: 'Camera did not acknowledge the command' });
+      this.pump();
+    }, ACK_TIMEOUT);
+
+    this.socket.write(entry.command);
+  }
+
+  handleData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
 
-    client.on('close', () => {
-      if (responseData.length > 0) {
-        resolve({ success: true, data: responseData });
+    // VISCA packets are terminated by 0xFF
+    let end;
+    while ((end = this.buffer.indexOf(0xFF)) !== -1) {
+      const packet = this.buffer.subarray(0, end + 1);
+      this.buffer = this.buffer.subarray(end + 1);
+      this.handlePacket(packet);
+    }
+  }
+
+  handlePacket(packet) {
+    if (packet.length < 3) return;
+
+    const type = packet[1] & 0xF0;
+    const socketNum = packet[1] & 0x0F;
+
+    if (type === 0x40) {
+      // ACK - command is running in socketNum, free the line for the next one
+      const entry = this.pending;
+      if (!entry) return;
+      this.pending = null;
+      clearTimeout(entry.timer);
+      if (this.executing.has(socketNum)) {
+        // Camera reused the socket, so its previous command's completion was lost
+        this.finish(this.executing.get(socketNum), { success: false, code: 'TIMEOUT', error: 'Camera did not report completion' });
       }
+      this.executing.set(socketNum, entry);
+      entry.timer = setTimeout(() => {
+        if (this.executing.get(socketNum) === entry) this.executing.delete(socketNum);
+        this.finish(entry, { success: false, code: 'TIMEOUT', error: 'Camera did not report completion' });
+      }, entry.completionTimeout);
+      this.pump();
+    } else if (type === 0x50 || type === 0x60) {
+      const entry = this.takeEntry(socketNum);
+      if (!entry) return;
+      this.finish(entry, type === 0x50 ? { success: true, data: packet } : decodeError(packet));
+      this.pump();
+    }
+  }
+
+  /**
+   * Find the command a completion/error reply belongs to
+   * Socket 0 replies (inquiries, buffer full, syntax errors) belong to the command awaiting ACK.
+   * A reply for any other socket we aren't waiting on (e.g. a completion
+   * arriving after its timeout) is stale and ignored.
+   */
+  takeEntry(socketNum) {
+    if (socketNum === 0) {
+      const entry = this.pending;
+      this.pending = null;
+      return entry;
+    }
+    const entry = this.executing.get(socketNum) || null;
+    this.executing.delete(socketNum);
+    return entry;
+  }
+
+  finish(entry, result) {
+    if (entry.done) return;
+    entry.done = true;
+    clearTimeout(entry.timer);
+    entry.resolve(result);
+  }
+
+  failInFlight(error) {
+    if (this.pending) {
+      this.finish(this.pending, { success: false, code: 'DISCONNECTED', error });
+      this.pending = null;
+    }
+    for (const entry of this.executing.values()) {
+      this.finish(entry, { success: false, code: 'DISCONNECTED', error });
+    }
+    this.executing.clear();
+  }
+
+  // Drop queued moves (not stops) for an axis
+  cancelQueuedMotion(axis) {
+    this.queue = this.queue.filter(entry => {
+      if (motionAxis(entry.command) !== axis || isStopCommand(entry.command)) return true;
+      this.finish(entry, { success: false, code: 'CANCELLED', error: 'Cancelled by a stop' });
+      return false;
     });
-  });
+  }
+
+  failQueued(code, error) {
+    for (const entry of this.queue) {
+      this.finish(entry, { success: false, code, error });
+    }
+    this.queue = [];
+  }
+
+  close() {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.failQueued('DISCONNECTED', 'Connection closed');
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+}
+
+// One connection per camera, keyed by host:port
+const connections = new Map();
+
+/**
+ * Get (or create) the shared connection for a camera
+ * @param {string} host - Camera IP
+ * @param {number} port - VISCA TCP port
+ */
+function getConnection(host = CAMERA_IP, port = VISCA_PORT) {
+  const key = `${host}:${port}`;
+  if (!connections.has(key)) {
+    connections.set(key, new ViscaConnection(host, port));
+  }
+  return connections.get(key);
+}
+
+/**
+ * Send a VISCA command over the camera's persistent connection
+ * Resolves once the camera reports completion (or an error).
+ * @param {Buffer} command - The VISCA command buffer
+ * @param {object} options - { priority, timeout } - stop commands are always prioritized
+ * @returns {Promise<{success: boolean, data?: Buffer, code?: string, error?: string}>}
+ */
+function sendVISCACommand(command, options = {}) {
+  if (!Buffer.isBuffer(command)) return Promise.resolve({ ...INVALID_COMMAND });
+  const priority = options.priority || isStopCommand(command);
+  return getConnection().send(command, { ...options, priority });
 }
 
 // Exposure functions
@@ -105,8 +691,8 @@ async function setExposureMode(mode) {
     'iris': VISCA_COMMANDS.EXPOSURE_IRIS,
     'bright': VISCA_COMMANDS.EXPOSURE_BRIGHT,
   };
-  const cmd = modeMap[mode];
-  if (!cmd) return { success: false, error: 'Invalid exposure mode' };
+  const cmd = Object.hasOwn(modeMap, mode) ? modeMap[mode] : null;
+  if (!cmd) return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid exposure mode' };
   return sendVISCACommand(cmd);
 }
 
@@ -114,21 +700,47 @@ async function adjustGain(direction) {
   if (direction === 'up') return sendVISCACommand(VISCA_COMMANDS.GAIN_UP);
   if (direction === 'down') return sendVISCACommand(VISCA_COMMANDS.GAIN_DOWN);
   if (direction === 'reset') return sendVISCACommand(VISCA_COMMANDS.GAIN_RESET);
-  return { success: false, error: 'Invalid direction' };
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid direction' };
 }
 
 async function adjustShutter(direction) {
   if (direction === 'up') return sendVISCACommand(VISCA_COMMANDS.SHUTTER_UP);
   if (direction === 'down') return sendVISCACommand(VISCA_COMMANDS.SHUTTER_DOWN);
   if (direction === 'reset') return sendVISCACommand(VISCA_COMMANDS.SHUTTER_RESET);
-  return { success: false, error: 'Invalid direction' };
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid direction' };
 }
 
 async function adjustIris(direction) {
   if (direction === 'up') return sendVISCACommand(VISCA_COMMANDS.IRIS_UP);
   if (direction === 'down') return sendVISCACommand(VISCA_COMMANDS.IRIS_DOWN);
   if (direction === 'reset') return sendVISCACommand(VISCA_COMMANDS.IRIS_RESET);
-  return { success: false, error: 'Invalid direction' };
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid direction' };
+}
+
+/**
+ * Send a direct value after checking it against its value table
+ * @param {string} table - Key of VALUE_TABLES
+ * @param {number} code - Command byte
+ * @param {number} value - Raw position
+ */
+async function setTableValue(table, code, value) {
+  value = Number(value);
+  if (!VALUE_TABLES[table].some(entry => entry.value === value)) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: `Invalid ${table} value` };
+  }
+  return sendVISCACommand(directCommand(code, value));
+}
+
+async function setGain(value) {
+  return setTableValue('gain', 0x4C, value);
+}
+
+async function setShutter(value) {
+  return setTableValue('shutter', 0x4A, value);
+}
+
+async function setIris(value) {
+  return setTableValue('iris', 0x4B, value);
 }
 
 async function setBacklight(enabled) {
@@ -136,6 +748,12 @@ async function setBacklight(enabled) {
   return sendVISCACommand(cmd);
 }
 
+// Zoom functions
+async function setDigitalZoom(enabled) {
+  const cmd = enabled ? VISCA_COMMANDS.DZOOM_ON : VISCA_COMMANDS.DZOOM_OFF;
+  return sendVISCACommand(cmd);
+}
+
 // White balance functions
 async function setWhiteBalanceMode(mode) {
   const modeMap = {
@@ -145,8 +763,8 @@ async function setWhiteBalanceMode(mode) {
     'onepush': VISCA_COMMANDS.WB_ONEPUSH,
     'manual': VISCA_COMMANDS.WB_MANUAL,
   };
-  const cmd = modeMap[mode];
-  if (!cmd) return { success: false, error: 'Invalid white balance mode' };
+  const cmd = Object.hasOwn(modeMap, mode) ? modeMap[mode] : null;
+  if (!cmd) return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid white balance mode' };
   return sendVISCACommand(cmd);
 }
 
@@ -154,38 +772,338 @@ async function adjustRedGain(direction) {
   if (direction === 'up') return sendVISCACommand(VISCA_COMMANDS.RED_GAIN_UP);
   if (direction === 'down') return sendVISCACommand(VISCA_COMMANDS.RED_GAIN_DOWN);
   if (direction === 'reset') return sendVISCACommand(VISCA_COMMANDS.RED_GAIN_RESET);
-  return { success: false, error: 'Invalid direction' };
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid direction' };
 }
 
 async function adjustBlueGain(direction) {
   if (direction === 'up') return sendVISCACommand(VISCA_COMMANDS.BLUE_GAIN_UP);
   if (direction === 'down') return sendVISCACommand(VISCA_COMMANDS.BLUE_GAIN_DOWN);
   if (direction === 'reset') return sendVISCACommand(VISCA_COMMANDS.BLUE_GAIN_RESET);
-  return { success: false, error: 'Invalid direction' };
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid direction' };
+}
+
+/**
+ * Send a direct red/blue gain value
+ * @param {number} code - 0x43 (red) or 0x44 (blue)
+ * @param {number} value - 0-255
+ */
+async function setColorGain(code, value) {
+  value = Number(value);
+  if (!Number.isInteger(value) || value < COLOR_GAIN_RANGE.min || value > COLOR_GAIN_RANGE.max) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid gain value (0-255)' };
+  }
+  return sendVISCACommand(directCommand(code, value));
+}
+
+async function setRedGain(value) {
+  return setColorGain(0x43, value);
+}
+
+async function setBlueGain(value) {
+  return setColorGain(0x44, value);
+}
+
+// Image functions
+
+/**
+ * Build the VISCA command for a picture setting, or an error for a bad value
+ * @param {string} name - Key of IMAGE_SETTINGS
+ * @param {number|string} value - Number in range, or option name
+ * @returns {{command?: Buffer, value?: number, error?: object}}
+ */
+function imageSettingCommand(name, value) {
+  // Own keys only - names like 'constructor' would otherwise resolve through Object.prototype
+  const setting = Object.hasOwn(IMAGE_SETTINGS, name) ? IMAGE_SETTINGS[name] : null;
+  if (!setting) {
+    return { error: { success: false, code: 'INVALID_ARGUMENT', error: `Unknown image setting: ${name}` } };
+  }
+
+  let raw;
+  if (setting.options) {
+    raw = Object.hasOwn(setting.options, value) ? setting.options[value] : undefined;
+    if (raw === undefined) {
+      const names = Object.keys(setting.options).join(', ');
+      return { error: { success: false, code: 'INVALID_ARGUMENT', error: `Invalid ${name} (${names})` } };
+    }
+  } else {
+    raw = Number(value);
+    if (!Number.isInteger(raw) || raw < setting.min || raw > setting.max) {
+      return { error: { success: false, code: 'INVALID_ARGUMENT', error: `Invalid ${name} (${setting.min}-${setting.max})` } };
+    }
+  }
+
+  const command = setting.format === 'direct'
+    ? directCommand(setting.code, raw)
+    : Buffer.from([0x81, 0x01, 0x04, setting.code, raw, 0xFF]);
+  return { command, value: raw };
+}
+
+/**
+ * Read all picture settings, leaving null for any the camera doesn't answer
+ */
+async function getImageSettings() {
+  const names = Object.keys(IMAGE_SETTINGS);
+  const result = await inquireAll(names.map(name => `image.${name}`));
+  if (!result.success) return result;
+
+  const data = {};
+  names.forEach(name => {
+    data[name] = result.data[`image.${name}`];
+  });
+  return { success: true, data };
+}
+
+// Device functions
+// Waking from standby takes a while before the camera reports completion
+const POWER_TIMEOUT = 30000;
+
+async function setPower(state) {
+  if (state === 'on') return sendVISCACommand(VISCA_COMMANDS.POWER_ON, { timeout: POWER_TIMEOUT });
+  if (state === 'standby') return sendVISCACommand(VISCA_COMMANDS.POWER_STANDBY, { timeout: POWER_TIMEOUT });
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid power state' };
+}
+
+async function setFlip(enabled) {
+  const cmd = enabled ? VISCA_COMMANDS.FLIP_ON : VISCA_COMMANDS.FLIP_OFF;
+  return sendVISCACommand(cmd);
+}
+
+async function setMirror(enabled) {
+  const cmd = enabled ? VISCA_COMMANDS.MIRROR_ON : VISCA_COMMANDS.MIRROR_OFF;
+  return sendVISCACommand(cmd);
+}
+
+async function setFreeze(enabled) {
+  const cmd = enabled ? VISCA_COMMANDS.FREEZE_ON : VISCA_COMMANDS.FREEZE_OFF;
+  return sendVISCACommand(cmd);
+}
+
+const TALLY_COMMANDS = {
+  red: VISCA_COMMANDS.TALLY_RED,
+  green: VISCA_COMMANDS.TALLY_GREEN,
+  off: VISCA_COMMANDS.TALLY_OFF
+};
+
+/**
+ * Set the tally lamp
+ * @param {string} color - red, green or off
+ */
+async function setTally(color) {
+  const cmd = Object.hasOwn(TALLY_COMMANDS, color) ? TALLY_COMMANDS[color] : null;
+  if (!cmd) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid tally color' };
+  }
+  return sendVISCACommand(cmd);
+}
+
+/**
+ * Read power, flip, mirror and freeze state
+ * In standby the camera may only answer the power inquiry.
+ */
+async function getDeviceState() {
+  return inquireAll(['power', 'flip', 'mirror', 'freeze']);
+}
+
+// Menu functions
+const MENU_DIRECTIONS = ['up', 'down', 'left', 'right'];
+// Pan-tiltDrive speed used for menu navigation
+const MENU_STEP_SPEED = 0x0E;
+
+/**
+ * Drive the camera's on-screen menu
+ * While the menu is open, Pan-tiltDrive moves the menu cursor instead of
+ * the head. Each step is followed by a stop so a menu that was closed
+ * behind our back doesn't leave the camera panning.
+ * @param {string} action - open, close, enter, up, down, left, right
+ */
+async function menuControl(action) {
+  if (action === 'open') return sendVISCACommand(VISCA_COMMANDS.MENU_OPEN);
+  if (action === 'close') return sendVISCACommand(VISCA_COMMANDS.MENU_CLOSE);
+  if (action === 'enter') return sendVISCACommand(VISCA_COMMANDS.MENU_ENTER);
+  if (!MENU_DIRECTIONS.includes(action)) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid menu action' };
+  }
+
+  const result = await sendVISCACommand(panTiltDriveCommand(action, MENU_STEP_SPEED, MENU_STEP_SPEED));
+  await sendVISCACommand(VISCA_COMMANDS.PAN_TILT_STOP);
+  return result;
 }
 
 // Focus functions
 async function setFocusMode(mode) {
   if (mode === 'auto') return sendVISCACommand(VISCA_COMMANDS.FOCUS_AUTO);
   if (mode === 'manual') return sendVISCACommand(VISCA_COMMANDS.FOCUS_MANUAL);
-  return { success: false, error: 'Invalid focus mode' };
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid focus mode' };
 }
 
 async function focusOnePush() {
   return sendVISCACommand(VISCA_COMMANDS.FOCUS_ONE_PUSH);
 }
 
+function validFocusPosition(value) {
+  return Number.isInteger(value) && value >= FOCUS_RANGE.min && value <= FOCUS_RANGE.max;
+}
+
+async function setFocusPosition(value) {
+  value = Number(value);
+  if (!validFocusPosition(value)) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: `Invalid focus position (${FOCUS_RANGE.min}-${FOCUS_RANGE.max})` };
+  }
+  return sendVISCACommand(focusDirectCommand(value));
+}
+
+async function setFocusNearLimit(value) {
+  value = Number(value);
+  if (!validFocusPosition(value)) {
+    return { success: false, code: 'INVALID_ARGUMENT', error: `Invalid focus near limit (${FOCUS_RANGE.min}-${FOCUS_RANGE.max})` };
+  }
+  return sendVISCACommand(focusNearLimitCommand(value));
+}
+
+async function setAfSensitivity(sensitivity) {
+  if (sensitivity === 'normal') return sendVISCACommand(VISCA_COMMANDS.AF_SENSITIVITY_NORMAL);
+  if (sensitivity === 'low') return sendVISCACommand(VISCA_COMMANDS.AF_SENSITIVITY_LOW);
+  return { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid AF sensitivity' };
+}
+
+// Focus lock can't be read back, so remember what was last set (null = unknown)
+let focusLocked = null;
+
+async function setFocusLock(locked) {
+  if (typeof locked !== 'boolean') {
+    return { success: false, code: 'INVALID_ARGUMENT', error: 'locked must be true or false' };
+  }
+  const result = await sendVISCACommand(locked ? VISCA_COMMANDS.FOCUS_LOCK_ON : VISCA_COMMANDS.FOCUS_LOCK_OFF);
+  if (result.success) focusLocked = locked;
+  return result;
+}
+
+// Inquiry functions
+/**
+ * Ask the camera for a single value
+ * @param {string} name - Key of VISCA_INQUIRIES
+ * @returns {Promise<{success: boolean, data?: any, code?: string, error?: string}>}
+ */
+async function inquire(name) {
+  const inquiry = VISCA_INQUIRIES[name];
+  if (!inquiry) return { success: false, code: 'INVALID_ARGUMENT', error: `Unknown inquiry: ${name}` };
+
+  const result = await sendVISCACommand(inquiry.command);
+  if (!result.success) return result;
+  return { success: true, data: inquiry.decode(result.data) };
+}
+
+/**
+ * Read a set of values, leaving null for any the camera doesn't answer
+ * Fails only when every inquiry fails (camera unreachable).
+ * @param {string[]} names - Keys of VISCA_INQUIRIES
+ */
+async function inquireAll(names) {
+  const results = await Promise.all(names.map(inquire));
+  const failed = results.find(r => !r.success);
+  if (failed && results.every(r => !r.success)) return failed;
+
+  const values = {};
+  names.forEach((name, i) => {
+    values[name] = results[i].success ? results[i].data : null;
+  });
+  return { success: true, data: values };
+}
+
+/**
+ * Read exposure, white balance and focus state
+ */
+async function getCameraState() {
+  const result = await inquireAll([
+    'exposureMode', 'gain', 'shutter', 'iris', 'brightness', 'backlight',
+    'wbMode', 'redGain', 'blueGain',
+    'focusMode', 'focusPosition', 'focusNearLimit', 'afSensitivity'
+  ]);
+  if (!result.success) return result;
+
+  const v = result.data;
+  return {
+    success: true,
+    data: {
+      exposure: {
+        mode: v.exposureMode,
+        gain: v.gain,
+        shutter: v.shutter,
+        iris: v.iris,
+        brightness: v.brightness,
+        backlight: v.backlight
+      },
+      whiteBalance: {
+        mode: v.wbMode,
+        redGain: v.redGain,
+        blueGain: v.blueGain
+      },
+      focus: {
+        mode: v.focusMode,
+        position: v.focusPosition,
+        nearLimit: v.focusNearLimit,
+        afSensitivity: v.afSensitivity,
+        locked: focusLocked
+      }
+    }
+  };
+}
+
 module.exports = {
+  ViscaConnection,
+  getConnection,
   sendVISCACommand,
+  isStopCommand,
+  motionAxis,
+  decodeError,
   VISCA_COMMANDS,
+  VISCA_ERRORS,
+  VISCA_INQUIRIES,
+  VALUE_TABLES,
+  COLOR_GAIN_RANGE,
+  FOCUS_RANGE,
+  IMAGE_SETTINGS,
+  decodeNibbles,
+  encodeNibbles,
+  directCommand,
+  DRIVE_DIRECTIONS,
+  panTiltDriveCommand,
+  panTiltAbsoluteCommand,
+  zoomDirectCommand,
+  zoomDriveCommand,
+  presetSpeedCommand,
+  focusDirectCommand,
+  focusNearLimitCommand,
   setExposureMode,
   adjustGain,
   adjustShutter,
   adjustIris,
+  setGain,
+  setShutter,
+  setIris,
   setBacklight,
+  setDigitalZoom,
   setWhiteBalanceMode,
   adjustRedGain,
   adjustBlueGain,
+  setRedGain,
+  setBlueGain,
   setFocusMode,
   focusOnePush,
+  setFocusPosition,
+  setFocusNearLimit,
+  setAfSensitivity,
+  setFocusLock,
+  imageSettingCommand,
+  setPower,
+  menuControl,
+  setFlip,
+  setMirror,
+  setFreeze,
+  setTally,
+  getDeviceState,
+  getImageSettings,
+  inquire,
+  inquireAll,
+  getCameraState,
 };
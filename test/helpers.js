@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const Module = require('module');
+
+/**
+ * Test helpers
+ *
+ * Services read config.json at require time. Tests run against a temp copy
+ * of config.json.example instead, so they never touch (or need) the real one.
+ */
+
+const CONFIG_PATH = path.join(__dirname, '../config.json');
+const testConfigDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptz-test-'));
+const TEST_CONFIG_PATH = path.join(testConfigDir, 'config.json');
+fs.copyFileSync(path.join(__dirname, '../config.json.example'), TEST_CONFIG_PATH);
+process.on('exit', () => fs.rmSync(testConfigDir, { recursive: true, force: true }));
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, parent, ...rest) {
+  if (parent && parent.filename && path.resolve(path.dirname(parent.filename), request) === CONFIG_PATH) {
+    return TEST_CONFIG_PATH;
+  }
+  return resolveFilename.call(this, request, parent, ...rest);
+};
+
+// Inquiries get a two-byte reply, commands ACK and complete in socket 1
+function defaultReply(packet) {
+  return packet[1] === 0x09
+    ? Buffer.from([0x90, 0x50, 0x00, 0x00, 0xFF])
+    : Buffer.from([0x90, 0x41, 0xFF, 0x90, 0x51, 0xFF]);
+}
+
+/**
+ * Start a fake VISCA camera on a free port
+ * Records every packet it receives and answers commands with ACK then
+ * completion, inquiries with a two-byte reply.
+ * @param {object} options - { ackDelay: ms before each ACK / inquiry reply,
+ *   reply: packet => Buffer to send instead of the usual answer }
+ * @returns {Promise<{port: number, received: Buffer[], close: Function}>}
+ */
+function startFakeCamera({ ackDelay = 0, reply: replyTo = defaultReply } = {}) {
+  const received = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    let reply = Promise.resolve();
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      let end;
+      while ((end = buffer.indexOf(0xFF)) !== -1) {
+        const packet = buffer.subarray(0, end + 1);
+        buffer = buffer.subarray(end + 1);
+        received.push(packet);
+        // Replies go out in order, each after the delay
+        reply = reply.then(() => new Promise(resolve => setTimeout(() => {
+          if (!socket.destroyed) socket.write(replyTo(packet));
+          resolve();
+        }, ackDelay)));
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        received,
+        close() {
+          sockets.forEach(socket => socket.destroy());
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startFakeCamera };
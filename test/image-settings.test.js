@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const visca = require('../server/services/visca-client');
+const camera = require('../server/services/camera');
+
+test('image settings reject Object.prototype keys', async () => {
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const { command, error } = visca.imageSettingCommand(name, 3);
+    assert.strictEqual(command, undefined, name);
+    assert.strictEqual(error.code, 'INVALID_ARGUMENT', name);
+
+    // Fails before anything is sent to the camera
+    const result = await camera.setImageSetting(name, 3);
+    assert.deepStrictEqual(result, { success: false, code: 'INVALID_ARGUMENT', error: `Unknown image setting: ${name}` });
+  }
+});
+
+test('option values reject Object.prototype keys', () => {
+  const [name] = Object.entries(visca.IMAGE_SETTINGS).find(([, setting]) => setting.options);
+  const { command, error } = visca.imageSettingCommand(name, 'constructor');
+  assert.strictEqual(command, undefined);
+  assert.strictEqual(error.code, 'INVALID_ARGUMENT');
+});
+
+test('known image settings still build commands', () => {
+  const [name, setting] = Object.entries(visca.IMAGE_SETTINGS).find(([, s]) => !s.options);
+  const { command, value } = visca.imageSettingCommand(name, setting.min);
+  assert.ok(Buffer.isBuffer(command));
+  assert.strictEqual(value, setting.min);
+});
+
+test('exposure, white balance and tally reject Object.prototype keys', async () => {
+  for (const key of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.deepStrictEqual(await visca.setExposureMode(key),
+      { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid exposure mode' }, key);
+    assert.deepStrictEqual(await visca.setWhiteBalanceMode(key),
+      { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid white balance mode' }, key);
+    assert.deepStrictEqual(await visca.setTally(key),
+      { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid tally color' }, key);
+  }
+});
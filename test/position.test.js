@@ -0,0 +1,15 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const visca = require('../server/services/visca-client');
+const camera = require('../server/services/camera');
+
+test('a partial move fails when the camera only reports its zoom', async (t) => {
+  mock.method(visca, 'inquireAll', async () => ({ success: true, data: { panTiltPosition: null, zoomPosition: 0x1000 } }));
+  const send = mock.method(visca, 'sendVISCACommand', async () => ({ success: true }));
+  t.after(() => mock.restoreAll());
+
+  assert.deepStrictEqual(await camera.moveToPosition({ tilt: 100 }),
+    { success: false, code: 'NOT_EXECUTABLE', error: 'Camera did not report its position' });
+  assert.strictEqual(send.mock.callCount(), 0);
+});
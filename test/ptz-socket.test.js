@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+require('./helpers');
+const WebSocket = require('ws');
+const ptzSocket = require('../server/routes/ptz-socket');
+
+test('non-object messages are answered with an error, not a crash', async () => {
+  const server = http.createServer();
+  const wss = ptzSocket.attach(server);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}${ptzSocket.SOCKET_PATH}`);
+  try {
+    await once(ws, 'open');
+    const frames = ['null', '5', '"stop"', '[]', 'not json', '{"seq":1,"type":"constructor"}'];
+    const replies = [];
+    const allReplied = new Promise((resolve) => {
+      ws.on('message', (data) => {
+        replies.push(JSON.parse(data.toString()));
+        if (replies.length === frames.length) resolve();
+      });
+    });
+
+    frames.forEach(frame => ws.send(frame));
+    await allReplied;
+
+    assert.deepStrictEqual(replies.slice(0, 4), Array(4).fill({ type: 'error', error: 'Message must be an object' }));
+    assert.deepStrictEqual(replies[4], { type: 'error', error: 'Invalid JSON' });
+    assert.deepStrictEqual(replies[5], { type: 'ack', seq: 1, success: false, error: 'Unknown message type: constructor' });
+  } finally {
+    ws.close();
+    wss.close();
+    for (const client of wss.clients) client.terminate();
+    server.close();
+  }
+});
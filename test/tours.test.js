@@ -0,0 +1,59 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+require('./helpers');
+const presets = require('../server/services/presets');
+const tours = require('../server/services/tours');
+
+const NOT_FOUND = { success: false, code: 'NOT_FOUND', error: 'No such tour' };
+const TOURS_PATH = path.join(__dirname, '../tours.json');
+
+// Keep tours.json in memory so tests never touch the real one
+function mockToursFile() {
+  let stored = null;
+  const { existsSync, readFileSync, writeFileSync } = fs;
+  mock.method(fs, 'existsSync', (file, ...rest) =>
+    file === TOURS_PATH ? stored !== null : existsSync(file, ...rest));
+  mock.method(fs, 'readFileSync', (file, ...rest) =>
+    file === TOURS_PATH ? stored : readFileSync(file, ...rest));
+  mock.method(fs, 'writeFileSync', (file, data, ...rest) => {
+    if (file === TOURS_PATH) stored = data;
+    else writeFileSync(file, data, ...rest);
+  });
+}
+
+test('tour ids inherited from Object.prototype are not tours', (t) => {
+  mockToursFile();
+  t.after(() => mock.restoreAll());
+
+  const body = { name: 'Test', steps: [{ preset: 1, dwell: 5 }] };
+  for (const id of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.deepStrictEqual(tours.startTour(id), NOT_FOUND, id);
+    assert.deepStrictEqual(tours.saveTour(id, body), NOT_FOUND, id);
+    assert.deepStrictEqual(tours.deleteTour(id), NOT_FOUND, id);
+  }
+  assert.strictEqual(tours.getStatus().data.running, false);
+});
+
+test('a saved tour starts and recalls its first preset', async (t) => {
+  mockToursFile();
+  const recall = mock.method(presets, 'recallPreset', async () => ({ success: true }));
+  t.after(() => {
+    tours.stopTour();
+    mock.restoreAll();
+  });
+
+  const saved = tours.saveTour(null, { name: 'Room', steps: [{ preset: 3, dwell: 60, speed: 8 }, { preset: 4, dwell: 60 }] });
+  assert.strictEqual(saved.success, true);
+
+  const started = tours.startTour(saved.data.id);
+  assert.strictEqual(started.success, true);
+  assert.deepStrictEqual(
+    { running: started.data.running, name: started.data.name, step: started.data.step, steps: started.data.steps },
+    { running: true, name: 'Room', step: 1, steps: 2 }
+  );
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(recall.mock.calls.map(call => call.arguments), [[3, 8]]);
+});
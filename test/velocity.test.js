@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { velocityToSpeed } = require('../server/services/camera');
+
+test('velocity maps to speeds 1 to the top speed', () => {
+  assert.strictEqual(velocityToSpeed(0, 24), 0);
+  assert.strictEqual(velocityToSpeed(0.005, 24), 0);
+  assert.strictEqual(velocityToSpeed(0.02, 24), 1);
+  assert.strictEqual(velocityToSpeed(1, 24), 24);
+  assert.strictEqual(velocityToSpeed(-1, 20), 20);
+});
+
+test('zoom scaling keeps the stick proportional', () => {
+  const speeds = [0.1, 0.4, 0.7, 1].map(value => velocityToSpeed(value, 24, 0.25));
+  assert.deepStrictEqual(speeds, [2, 3, 5, 6]);
+  // Even when the scaled top is a single speed, deflection still moves the camera
+  assert.strictEqual(velocityToSpeed(1, 24, 0.01), 1);
+});
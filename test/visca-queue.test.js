@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const { once } = require('events');
+const assert = require('node:assert');
+const { startFakeCamera } = require('./helpers');
+const { ViscaConnection, VISCA_COMMANDS, panTiltDriveCommand, sendVISCACommand } = require('../server/services/visca-client');
+
+const INQUIRY = Buffer.from([0x81, 0x09, 0x06, 0x12, 0xFF]);
+
+async function connect(port) {
+  const connection = new ViscaConnection('127.0.0.1', port);
+  connection.connect();
+  await once(connection, 'connected');
+  return connection;
+}
+
+test('a stop cancels moves still queued for its axis', async () => {
+  const camera = await startFakeCamera({ ackDelay: 300 });
+  const connection = await connect(camera.port);
+  try {
+    const left = panTiltDriveCommand('left', 10, 10);
+    const zoom = Buffer.from([0x81, 0x01, 0x04, 0x07, 0x23, 0xFF]);
+
+    const inquiry = connection.send(INQUIRY);
+    const move = connection.send(left);
+    const zoomIn = connection.send(zoom);
+    const stop = connection.send(VISCA_COMMANDS.PAN_TILT_STOP, { priority: true });
+
+    assert.deepStrictEqual(await move, { success: false, code: 'CANCELLED', error: 'Cancelled by a stop' });
+    assert.strictEqual((await stop).success, true);
+    assert.strictEqual((await zoomIn).success, true);
+    assert.strictEqual((await inquiry).success, true);
+
+    // The move never reached the camera; the zoom on the other axis did, after the stop
+    const sent = camera.received.map(packet => packet.toString('hex'));
+    assert.deepStrictEqual(sent, [
+      INQUIRY.toString('hex'),
+      VISCA_COMMANDS.PAN_TILT_STOP.toString('hex'),
+      zoom.toString('hex')
+    ]);
+  } finally {
+    connection.close();
+    await camera.close();
+  }
+});
+
+test('a stop leaves moves queued after it alone', async () => {
+  const camera = await startFakeCamera({ ackDelay: 50 });
+  const connection = await connect(camera.port);
+  try {
+    const left = panTiltDriveCommand('left', 10, 10);
+
+    const inquiry = connection.send(INQUIRY);
+    const stop = connection.send(VISCA_COMMANDS.PAN_TILT_STOP, { priority: true });
+    const move = connection.send(left);
+
+    assert.strictEqual((await inquiry).success, true);
+    assert.strictEqual((await stop).success, true);
+    assert.strictEqual((await move).success, true);
+    assert.strictEqual(camera.received[2].toString('hex'), left.toString('hex'));
+  } finally {
+    connection.close();
+    await camera.close();
+  }
+});
+
+test('a late completion does not answer a pending inquiry', async () => {
+  // Socket 2's completion shows up with nothing running there, just before the real reply
+  const camera = await startFakeCamera({
+    reply: (packet) => packet[1] === 0x09
+      ? Buffer.from([0x90, 0x52, 0xFF, 0x90, 0x50, 0x02, 0x03, 0xFF])
+      : Buffer.from([0x90, 0x41, 0xFF, 0x90, 0x51, 0xFF])
+  });
+  const connection = await connect(camera.port);
+  try {
+    const result = await connection.send(INQUIRY);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.toString('hex'), '90500203ff');
+  } finally {
+    connection.close();
+    await camera.close();
+  }
+});
+
+test('anything but a packet is rejected without throwing', async () => {
+  const invalid = { success: false, code: 'INVALID_ARGUMENT', error: 'Invalid VISCA command' };
+  for (const command of [undefined, null, 'stop', {}, Object]) {
+    assert.deepStrictEqual(await sendVISCACommand(command), invalid);
+    assert.deepStrictEqual(await new ViscaConnection('127.0.0.1', 1).send(command), invalid);
+  }
+});